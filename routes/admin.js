@@ -1,11 +1,69 @@
 ﻿import express from 'express';
-import multer from 'multer';
 import { supabaseAdmin } from '../config/supabase.js';
 import { requireAdmin } from '../middleware/admin.js';
-import { productSchema, validateRequest } from '../utils/helpers.js';
+import {
+  productSchema,
+  productShippingSchema,
+  discountSchema,
+  discountUpdateSchema,
+  refundSchema,
+  returnApprovalSchema,
+  shipmentSchema,
+  shipmentUpdateSchema,
+  shipmentEventSchema,
+  deliveryZoneSchema,
+  deliveryZoneUpdateSchema,
+  pickupLocationSchema,
+  pickupLocationUpdateSchema,
+  validateRequest,
+  handleSupabaseError
+} from '../utils/helpers.js';
+import { toDiscountRecord, getDiscountStats } from '../utils/discounts.js';
+import { runWebhookEvent } from '../utils/webhookEvents.js';
+import { createRefund, recordManualRefund } from '../utils/refunds.js';
+import { confirmOfflinePayment } from '../utils/paymentSettlement.js';
+import { PAYMENT_METHODS } from '../utils/paymentMethods.js';
+import { runReconciliation } from '../utils/reconciliation.js';
+import { retryEmail } from '../utils/emailOutbox.js';
+import {
+  listDeliveryZones,
+  getDeliveryZone,
+  createDeliveryZone,
+  updateDeliveryZone
+} from '../utils/deliveryZones.js';
+import {
+  listPickupLocations,
+  getPickupLocation,
+  createPickupLocation,
+  updatePickupLocation
+} from '../utils/pickupLocations.js';
+import {
+  ORDER_STATUSES,
+  changeOrderStatus,
+  isPaymentOnlyTransition,
+  getStatusHistory
+} from '../utils/orderStatus.js';
+import {
+  restoreOrderResources,
+  notifyOrderCancelled,
+  assertNotUnderReview,
+  cancelAndRefund,
+  approveCancellation,
+  rejectCancellation
+} from '../utils/cancellations.js';
+import { approveReturn, rejectReturn } from '../utils/returns.js';
+import { notifyCustomer } from '../utils/notifications.js';
+import { sendOrderShippedEmail, sendOrderDeliveredEmail } from '../utils/emailService.js';
+import {
+  createShipment,
+  updateShipment,
+  addShipmentEvent,
+  getTracking
+} from '../utils/shipments.js';
+import { handlePaymentEvent } from '../utils/paymentEvents.js';
 import dotenv from 'dotenv';
 import { generateToken, hashPassword } from '../utils/auth.js';
-import cloudinary from '../config/cloudinary.js';
+import { imageUpload, uploadImage, handleUploadError } from '../utils/uploads.js';
 
 dotenv.config();
 
@@ -17,14 +75,31 @@ router.get('/dashboard', requireAdmin, async (req, res) => {
     // Get total orders, revenue, etc.
     const { data: orders, error: ordersError } = await supabaseAdmin
       .from('orders')
-      .select('total, payment_status, created_at');
+      .select('total, payment_status, payment_method, created_at');
 
     if (ordersError) throw ordersError;
 
-    const totalRevenue = orders
-      .filter(order => order.payment_status === 'success')
+    const paidOrders = orders.filter(order => order.payment_status === 'success');
+
+    const totalRevenue = paidOrders
       .reduce((sum, order) => sum + parseFloat(order.total), 0);
 
+    const revenueByPaymentMethod = Object.fromEntries(
+      PAYMENT_METHODS.map(method => [
+        method,
+        paidOrders
+          .filter(order => (order.payment_method || 'online') === method)
+          .reduce((sum, order) => sum + parseFloat(order.total), 0)
+      ])
+    );
+
+    const ordersByPaymentMethod = Object.fromEntries(
+      PAYMENT_METHODS.map(method => [
+        method,
+        orders.filter(order => (order.payment_method || 'online') === method).length
+      ])
+    );
+
     const { data: products, error: productsError } = await supabaseAdmin
       .from('products')
       .select('id', { count: 'exact' });
@@ -41,9 +116,13 @@ router.get('/dashboard', requireAdmin, async (req, res) => {
       stats: {
         totalOrders: orders.length,
         totalRevenue,
+        revenueByPaymentMethod,
+        ordersByPaymentMethod,
         totalProducts: products.length,
         totalUsers: users.length,
-        pendingOrders: orders.filter(order => order.payment_status === 'pending').length
+        pendingOrders: orders.filter(order => order.payment_status === 'pending').length,
+        awaitingTransferOrders: orders.filter(order => order.payment_status === 'awaiting_transfer').length,
+        payOnDeliveryOrders: orders.filter(order => order.payment_status === 'pay_on_delivery').length
       }
     });
   } catch (error) {
@@ -54,23 +133,6 @@ router.get('/dashboard', requireAdmin, async (req, res) => {
 
 
 
-// Configure multer for memory storage (for Cloudinary)
-const storage = multer.memoryStorage(); // Changed from diskStorage
-
-const upload = multer({ 
-    storage: storage,
-    fileFilter: function (req, file, cb) {
-        // Accept images only
-        if (!file.originalname.match(/\.(jpg|jpeg|png|gif|webp)$/)) {
-            return cb(new Error('Only image files are allowed!'), false);
-        }
-        cb(null, true);
-    },
-    limits: {
-        fileSize: 5 * 1024 * 1024 // 5MB limit
-    }
-});
-
 // Admin registration - FIXED bcrypt issue
 router.post('/register', async (req, res) => {
   try {
@@ -134,7 +196,7 @@ router.post('/register', async (req, res) => {
 });
 
 // Product creation with image upload - FIXED
-router.post('/products', requireAdmin, upload.single('image'), async (req, res) => {
+router.post('/products', requireAdmin, imageUpload.single('image'), async (req, res) => {
   try {
     const { name, info, benefits, direction, precaution, category_id, price, stock } = req.body;
 
@@ -145,26 +207,24 @@ router.post('/products', requireAdmin, upload.single('image'), async (req, res)
       });
     }
 
+    const { error: shippingError, value: shipping } = productShippingSchema.validate(
+      req.body,
+      { stripUnknown: true }
+    );
+
+    if (shippingError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: shippingError.details.map(detail => detail.message)
+      });
+    }
+
     let imageUrl = '';
 
     // Upload image to Cloudinary if provided
     if (req.file) {
       try {
-        // Convert buffer to base64
-        const b64 = Buffer.from(req.file.buffer).toString('base64');
-        const dataURI = `data:${req.file.mimetype};base64,${b64}`;
-
-        // Upload to Cloudinary
-        const uploadResponse = await cloudinary.uploader.upload(dataURI, {
-          folder: 'health-excellence/products',
-          resource_type: 'image',
-          transformation: [
-            { width: 800, height: 800, crop: 'limit' },
-            { quality: 'auto' }
-          ]
-        });
-
-        imageUrl = uploadResponse.secure_url;
+        imageUrl = await uploadImage(req.file, 'products');
       } catch (uploadError) {
         console.error('Cloudinary upload error:', uploadError);
         return res.status(500).json({ error: 'Failed to upload image' });
@@ -183,6 +243,7 @@ router.post('/products', requireAdmin, upload.single('image'), async (req, res)
         category_id,
         price: parseFloat(price),
         stock: parseInt(stock),
+        ...shipping,
         image_url: imageUrl
       }])
       .select(`
@@ -207,7 +268,7 @@ router.post('/products', requireAdmin, upload.single('image'), async (req, res)
 });
 
 // Product update - FIXED
-router.put('/products/:id', requireAdmin, upload.single('image'), async (req, res) => {
+router.put('/products/:id', requireAdmin, imageUpload.single('image'), async (req, res) => {
   try {
     const { id } = req.params;
     const { name, info, benefits, direction, precaution, category_id, price, stock } = req.body;
@@ -219,26 +280,24 @@ router.put('/products/:id', requireAdmin, upload.single('image'), async (req, re
       });
     }
 
+    const { error: shippingError, value: shipping } = productShippingSchema.validate(
+      req.body,
+      { stripUnknown: true }
+    );
+
+    if (shippingError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: shippingError.details.map(detail => detail.message)
+      });
+    }
+
     let imageUrl = '';
 
     // Upload image to Cloudinary if provided
     if (req.file) {
       try {
-        // Convert buffer to base64
-        const b64 = Buffer.from(req.file.buffer).toString('base64');
-        const dataURI = `data:${req.file.mimetype};base64,${b64}`;
-
-        // Upload to Cloudinary
-        const uploadResponse = await cloudinary.uploader.upload(dataURI, {
-          folder: 'health-excellence/products',
-          resource_type: 'image',
-          transformation: [
-            { width: 800, height: 800, crop: 'limit' },
-            { quality: 'auto' }
-          ]
-        });
-
-        imageUrl = uploadResponse.secure_url;
+        imageUrl = await uploadImage(req.file, 'products');
       } catch (uploadError) {
         console.error('Cloudinary upload error:', uploadError);
         return res.status(500).json({ error: 'Failed to upload image' });
@@ -255,6 +314,7 @@ router.put('/products/:id', requireAdmin, upload.single('image'), async (req, re
       category_id,
       price: parseFloat(price),
       stock: parseInt(stock),
+      ...shipping,
       updated_at: new Date().toISOString()
     };
 
@@ -293,21 +353,6 @@ router.put('/products/:id', requireAdmin, upload.single('image'), async (req, re
   }
 });
 
-// Add error handling middleware at the end
-router.use((error, req, res, next) => {
-  if (error instanceof multer.MulterError) {
-    if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({ error: 'File too large' });
-    }
-    if (error.code === 'LIMIT_UNEXPECTED_FILE') {
-      return res.status(400).json({ error: 'Unexpected field' });
-    }
-  }
-  
-  console.error('Admin route error:', error);
-  res.status(500).json({ error: 'Internal server error' });
-});
-
 router.delete('/products/:id', requireAdmin, async (req, res) => {
   try {
     const { id } = req.params;
@@ -329,7 +374,7 @@ router.delete('/products/:id', requireAdmin, async (req, res) => {
 // Order management
 router.get('/orders', requireAdmin, async (req, res) => {
   try {
-    const { page = 1, limit = 20, status } = req.query;
+    const { page = 1, limit = 20, status, payment_status, payment_method, delivery_method } = req.query;
     const from = (page - 1) * limit;
     const to = from + limit - 1;
 
@@ -337,7 +382,8 @@ router.get('/orders', requireAdmin, async (req, res) => {
       .from('orders')
       .select(`
         *,
-        users (full_name, email, phone)
+        users (full_name, email, phone),
+        pickup_locations (name, address, city, state)
       `, { count: 'exact' })
       .order('created_at', { ascending: false });
 
@@ -345,6 +391,20 @@ router.get('/orders', requireAdmin, async (req, res) => {
       query = query.eq('order_status', status);
     }
 
+    // e.g. payment_status=under_review for charges that did not match the order total
+    if (payment_status) {
+      query = query.eq('payment_status', payment_status);
+    }
+
+    if (payment_method) {
+      query = query.eq('payment_method', payment_method);
+    }
+
+    // e.g. delivery_method=pickup for orders to set aside in store
+    if (delivery_method) {
+      query = query.eq('delivery_method', delivery_method);
+    }
+
     const { data: orders, error, count } = await query.range(from, to);
 
     if (error) throw error;
@@ -364,33 +424,1052 @@ router.get('/orders', requireAdmin, async (req, res) => {
   }
 });
 
+router.get('/orders/:id', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: order, error } = await supabaseAdmin
+      .from('orders')
+      .select(`
+        *,
+        users (full_name, email, phone),
+        pickup_locations (name, address, city, state, phone)
+      `)
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const [status_history, tracking] = await Promise.all([
+      getStatusHistory(order.id),
+      getTracking(order.id)
+    ]);
+
+    res.json({ order: { ...order, status_history, tracking } });
+  } catch (error) {
+    console.error('Get admin order error:', error);
+    res.status(500).json({ error: 'Failed to fetch order' });
+  }
+});
+
 router.put('/orders/:id/status', requireAdmin, async (req, res) => {
   try {
     const { id } = req.params;
-    const { order_status } = req.body;
+    const { order_status, note } = req.body;
 
-    const validStatuses = ['pending', 'shipped', 'delivered', 'cancelled'];
-    if (!validStatuses.includes(order_status)) {
+    if (!ORDER_STATUSES.includes(order_status)) {
       return res.status(400).json({ error: 'Invalid order status' });
     }
 
+    const { data: currentOrder, error: fetchError } = await supabaseAdmin
+      .from('orders')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+
+    if (!currentOrder) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    // A cancelled order has given its stock back; only a late payment revives it
+    if (isPaymentOnlyTransition(currentOrder.order_status, order_status)) {
+      return res.status(409).json({
+        error: `Cannot change order status from ${currentOrder.order_status} to ${order_status}; only a payment can reopen a cancelled order`
+      });
+    }
+
+    if (order_status === 'cancelled') {
+      assertNotUnderReview(currentOrder);
+    }
+
+    // Cancelling a paid online order refunds it in full; the request fails
+    // if the refund cannot be started. Offline payments are paid back manually.
+    let order;
+    let refund = null;
+    if (
+      order_status === 'cancelled' &&
+      currentOrder.payment_method === 'online' &&
+      ['success', 'partially_refunded'].includes(currentOrder.payment_status)
+    ) {
+      // Stock is returned below with the rest of the order's resources
+      ({ order, refund } = await cancelAndRefund(currentOrder, {
+        changedBy: req.user.id,
+        note: note || null,
+        reason: 'Order cancelled by admin'
+      }));
+    } else {
+      order = await changeOrderStatus(currentOrder, order_status, {
+        changedBy: req.user.id,
+        note: note || null
+      });
+    }
+
+    // Give back the order's stock and discount use
+    if (order_status === 'cancelled') {
+      await restoreOrderResources(order);
+      await notifyOrderCancelled(order, note || null);
+    }
+
+    // Orders shipped or delivered without a shipment record still notify the customer
+    if (order_status === 'shipped') {
+      await notifyCustomer(order.user_id, (email, name) => sendOrderShippedEmail(order, null, email, name));
+    }
+
+    if (order_status === 'delivered') {
+      await notifyCustomer(order.user_id, (email, name) => sendOrderDeliveredEmail(order, null, email, name));
+    }
+
+    res.json({
+      message: 'Order status updated successfully',
+      order,
+      status_history: await getStatusHistory(order.id),
+      ...(refund && { refund })
+    });
+  } catch (error) {
+    console.error('Update order status error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to update order status'
+    });
+  }
+});
+
+// Confirm receipt of an offline payment (bank transfer, or cash collected on delivery)
+router.post('/orders/:id/confirm-payment', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount_received, reference } = req.body;
+
+    const { data: order, error } = await supabaseAdmin
+      .from('orders')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (!['bank_transfer', 'cod'].includes(order.payment_method)) {
+      return res.status(400).json({ error: 'Only bank transfer and cash on delivery orders can be confirmed manually' });
+    }
+
+    if (order.payment_status === 'success') {
+      return res.status(400).json({ error: 'Order already paid' });
+    }
+
+    const settlement = await confirmOfflinePayment(order, {
+      amountReceived: amount_received ?? order.total,
+      reference
+    });
+
+    if (settlement.status === 'flagged') {
+      return res.status(409).json({
+        error: `${settlement.reason}. The order has been held for review.`,
+        reason: settlement.reason,
+        order: settlement.order
+      });
+    }
+
+    res.json({
+      message: 'Payment confirmed successfully',
+      order: settlement.order
+    });
+  } catch (error) {
+    console.error('Confirm payment error:', error);
+    res.status(500).json({ error: 'Failed to confirm payment' });
+  }
+});
+
+// Refunds
+router.get('/orders/:id/refunds', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: refunds, error } = await supabaseAdmin
+      .from('refunds')
+      .select('*')
+      .eq('order_id', id)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({ refunds: refunds || [] });
+  } catch (error) {
+    console.error('Get refunds error:', error);
+    res.status(500).json({ error: 'Failed to fetch refunds' });
+  }
+});
+
+router.post('/orders/:id/refund', requireAdmin, validateRequest(refundSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount, reason, items, restock } = req.body;
+
     const { data: order, error } = await supabaseAdmin
       .from('orders')
-      .update({ order_status })
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    // Offline payments are paid back outside the gateway and recorded here
+    const refundOptions = { amount, reason, items, restock, adminId: req.user.id };
+    const refund = order.payment_method && order.payment_method !== 'online'
+      ? await recordManualRefund(order, refundOptions)
+      : await createRefund(order, refundOptions);
+
+    res.status(201).json({
+      message: refund.status === 'processed' ? 'Refund processed' : 'Refund initiated',
+      refund
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Create refund error:', error);
+    res.status(500).json({ error: 'Failed to create refund' });
+  }
+});
+
+// Discount management
+const emptyDiscountStats = {
+  totalOrders: 0,
+  paidOrders: 0,
+  totalDiscountGiven: 0,
+  revenue: 0
+};
+
+router.get('/discounts', requireAdmin, async (req, res) => {
+  try {
+    const { active } = req.query;
+
+    let query = supabaseAdmin
+      .from('discounts')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (active === 'true') {
+      query = query.eq('is_active', true);
+    } else if (active === 'false') {
+      query = query.eq('is_active', false);
+    }
+
+    const { data: discounts, error } = await query;
+
+    if (error) throw error;
+
+    const stats = await getDiscountStats();
+
+    res.json({
+      discounts: (discounts || []).map(discount => ({
+        ...discount,
+        stats: stats[discount.code] || emptyDiscountStats
+      }))
+    });
+  } catch (error) {
+    console.error('Get discounts error:', error);
+    res.status(500).json({ error: 'Failed to fetch discounts' });
+  }
+});
+
+router.get('/discounts/:id', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: discount, error } = await supabaseAdmin
+      .from('discounts')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!discount) {
+      return res.status(404).json({ error: 'Discount not found' });
+    }
+
+    const stats = await getDiscountStats([discount.code]);
+
+    res.json({
+      discount: {
+        ...discount,
+        stats: stats[discount.code] || emptyDiscountStats
+      }
+    });
+  } catch (error) {
+    console.error('Get discount error:', error);
+    res.status(500).json({ error: 'Failed to fetch discount' });
+  }
+});
+
+router.post('/discounts', requireAdmin, validateRequest(discountSchema), async (req, res) => {
+  try {
+    const { value } = discountSchema.validate(req.body);
+
+    const { data: discount, error } = await supabaseAdmin
+      .from('discounts')
+      .insert([toDiscountRecord(value)])
+      .select()
+      .single();
+
+    if (error) {
+      return handleSupabaseError(error, res);
+    }
+
+    res.status(201).json({
+      message: 'Discount created successfully',
+      discount
+    });
+  } catch (error) {
+    console.error('Create discount error:', error);
+    res.status(500).json({ error: 'Failed to create discount' });
+  }
+});
+
+router.put('/discounts/:id', requireAdmin, validateRequest(discountUpdateSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: existing, error: fetchError } = await supabaseAdmin
+      .from('discounts')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Discount not found' });
+    }
+
+    // Re-validate the full record so type-specific fields stay consistent
+    const { error: validationError, value } = discountSchema.validate(
+      { ...existing, ...req.body },
+      { stripUnknown: true }
+    );
+
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: validationError.details.map(detail => detail.message)
+      });
+    }
+
+    const { data: discount, error } = await supabaseAdmin
+      .from('discounts')
+      .update(toDiscountRecord(value))
       .eq('id', id)
       .select()
       .single();
 
+    if (error) {
+      return handleSupabaseError(error, res);
+    }
+
+    res.json({
+      message: 'Discount updated successfully',
+      discount
+    });
+  } catch (error) {
+    console.error('Update discount error:', error);
+    res.status(500).json({ error: 'Failed to update discount' });
+  }
+});
+
+// Discounts are deactivated rather than deleted so order history keeps its codes
+router.delete('/discounts/:id', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: discount, error } = await supabaseAdmin
+      .from('discounts')
+      .update({ is_active: false })
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
     if (error) throw error;
 
+    if (!discount) {
+      return res.status(404).json({ error: 'Discount not found' });
+    }
+
     res.json({
-      message: 'Order status updated successfully',
-      order
+      message: 'Discount deactivated successfully',
+      discount
     });
   } catch (error) {
-    console.error('Update order status error:', error);
-    res.status(500).json({ error: 'Failed to update order status' });
+    console.error('Deactivate discount error:', error);
+    res.status(500).json({ error: 'Failed to deactivate discount' });
+  }
+});
+
+// Delivery zones and their fees
+router.get('/delivery-zones', requireAdmin, async (req, res) => {
+  try {
+    const zones = await listDeliveryZones({ includeInactive: true });
+    res.json({ zones });
+  } catch (error) {
+    console.error('Get delivery zones error:', error);
+    res.status(500).json({ error: 'Failed to fetch delivery zones' });
+  }
+});
+
+router.get('/delivery-zones/:id', requireAdmin, async (req, res) => {
+  try {
+    const zone = await getDeliveryZone(req.params.id);
+    res.json({ zone });
+  } catch (error) {
+    console.error('Get delivery zone error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to fetch delivery zone'
+    });
+  }
+});
+
+router.post('/delivery-zones', requireAdmin, validateRequest(deliveryZoneSchema), async (req, res) => {
+  try {
+    const { value } = deliveryZoneSchema.validate(req.body);
+    const zone = await createDeliveryZone(value);
+
+    res.status(201).json({
+      message: 'Delivery zone created successfully',
+      zone
+    });
+  } catch (error) {
+    console.error('Create delivery zone error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to create delivery zone'
+    });
+  }
+});
+
+// `areas`, when given, replaces the zone's current states and cities
+router.put('/delivery-zones/:id', requireAdmin, validateRequest(deliveryZoneUpdateSchema), async (req, res) => {
+  try {
+    const { value } = deliveryZoneUpdateSchema.validate(req.body);
+    const zone = await updateDeliveryZone(req.params.id, value);
+
+    res.json({
+      message: 'Delivery zone updated successfully',
+      zone
+    });
+  } catch (error) {
+    console.error('Update delivery zone error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to update delivery zone'
+    });
+  }
+});
+
+// Zones are deactivated rather than deleted so past orders keep their zone
+router.delete('/delivery-zones/:id', requireAdmin, async (req, res) => {
+  try {
+    const zone = await updateDeliveryZone(req.params.id, { is_active: false });
+
+    res.json({
+      message: 'Delivery zone deactivated successfully',
+      zone
+    });
+  } catch (error) {
+    console.error('Deactivate delivery zone error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to deactivate delivery zone'
+    });
   }
 });
 
+// Stores customers can collect orders from
+router.get('/pickup-locations', requireAdmin, async (req, res) => {
+  try {
+    const locations = await listPickupLocations({ state: req.query.state, includeInactive: true });
+    res.json({ locations });
+  } catch (error) {
+    console.error('Get pickup locations error:', error);
+    res.status(500).json({ error: 'Failed to fetch pickup locations' });
+  }
+});
+
+router.get('/pickup-locations/:id', requireAdmin, async (req, res) => {
+  try {
+    const location = await getPickupLocation(req.params.id);
+    res.json({ location });
+  } catch (error) {
+    console.error('Get pickup location error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to fetch pickup location'
+    });
+  }
+});
+
+router.post('/pickup-locations', requireAdmin, validateRequest(pickupLocationSchema), async (req, res) => {
+  try {
+    const location = await createPickupLocation(req.body);
+
+    res.status(201).json({
+      message: 'Pickup location created successfully',
+      location
+    });
+  } catch (error) {
+    console.error('Create pickup location error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to create pickup location'
+    });
+  }
+});
+
+router.put('/pickup-locations/:id', requireAdmin, validateRequest(pickupLocationUpdateSchema), async (req, res) => {
+  try {
+    const location = await updatePickupLocation(req.params.id, req.body);
+
+    res.json({
+      message: 'Pickup location updated successfully',
+      location
+    });
+  } catch (error) {
+    console.error('Update pickup location error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to update pickup location'
+    });
+  }
+});
+
+// Locations are deactivated rather than deleted so past pickup orders keep them
+router.delete('/pickup-locations/:id', requireAdmin, async (req, res) => {
+  try {
+    const location = await updatePickupLocation(req.params.id, { is_active: false });
+
+    res.json({
+      message: 'Pickup location deactivated successfully',
+      location
+    });
+  } catch (error) {
+    console.error('Deactivate pickup location error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to deactivate pickup location'
+    });
+  }
+});
+
+// Payment webhook ledger
+router.get('/webhook-events', requireAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, event_type, reference } = req.query;
+    const from = (page - 1) * limit;
+    const to = from + limit - 1;
+
+    let query = supabaseAdmin
+      .from('webhook_events')
+      .select('id, provider, event_key, event_type, reference, status, attempts, last_error, processed_at, created_at', { count: 'exact' })
+      .order('created_at', { ascending: false });
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    if (event_type) {
+      query = query.eq('event_type', event_type);
+    }
+
+    if (reference) {
+      query = query.eq('reference', reference);
+    }
+
+    const { data: events, error, count } = await query.range(from, to);
+
+    if (error) throw error;
+
+    res.json({
+      events: events || [],
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get webhook events error:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook events' });
+  }
+});
+
+router.get('/webhook-events/:id', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: event, error } = await supabaseAdmin
+      .from('webhook_events')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!event) {
+      return res.status(404).json({ error: 'Webhook event not found' });
+    }
+
+    res.json({ event });
+  } catch (error) {
+    console.error('Get webhook event error:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook event' });
+  }
+});
+
+// Re-run a stored event, e.g. after fixing the cause of a failure
+router.post('/webhook-events/:id/replay', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: event, error } = await supabaseAdmin
+      .from('webhook_events')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!event) {
+      return res.status(404).json({ error: 'Webhook event not found' });
+    }
+
+    if (event.status === 'processing') {
+      return res.status(409).json({ error: 'Webhook event is currently being processed' });
+    }
+
+    try {
+      const outcome = await runWebhookEvent(event, handlePaymentEvent, { force: true });
+
+      res.json({
+        message: 'Webhook event replayed successfully',
+        result: outcome.result
+      });
+    } catch (replayError) {
+      console.error('Replay webhook event error:', replayError);
+      res.status(replayError.status || 500).json({
+        error: 'Webhook event replay failed',
+        details: replayError.message
+      });
+    }
+  } catch (error) {
+    console.error('Replay webhook event error:', error);
+    res.status(500).json({ error: 'Failed to replay webhook event' });
+  }
+});
+
+// Customer cancellation requests for paid orders
+router.get('/cancellation-requests', requireAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    const from = (page - 1) * limit;
+    const to = from + limit - 1;
+
+    let query = supabaseAdmin
+      .from('cancellation_requests')
+      .select(`
+        *,
+        orders (id, total, payment_status, payment_method, order_status, created_at),
+        users!cancellation_requests_user_id_fkey (full_name, email, phone)
+      `, { count: 'exact' })
+      .order('created_at', { ascending: false });
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: requests, error, count } = await query.range(from, to);
+
+    if (error) throw error;
+
+    res.json({
+      requests: requests || [],
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get cancellation requests error:', error);
+    res.status(500).json({ error: 'Failed to fetch cancellation requests' });
+  }
+});
+
+router.post('/cancellation-requests/:id/approve', requireAdmin, async (req, res) => {
+  try {
+    const { request, order, refund } = await approveCancellation(req.params.id, {
+      adminId: req.user.id,
+      note: req.body.note || null
+    });
+
+    res.json({
+      message: refund
+        ? 'Order cancelled and refund started'
+        : 'Order cancelled. Refund the customer manually.',
+      request,
+      order,
+      ...(refund && { refund })
+    });
+  } catch (error) {
+    console.error('Approve cancellation error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to approve cancellation'
+    });
+  }
+});
+
+router.post('/cancellation-requests/:id/reject', requireAdmin, async (req, res) => {
+  try {
+    const request = await rejectCancellation(req.params.id, {
+      adminId: req.user.id,
+      note: req.body.note || null
+    });
+
+    res.json({
+      message: 'Cancellation request rejected',
+      request
+    });
+  } catch (error) {
+    console.error('Reject cancellation error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to reject cancellation'
+    });
+  }
+});
+
+// Shipments
+router.post('/orders/:id/shipments', requireAdmin, validateRequest(shipmentSchema), async (req, res) => {
+  try {
+    const { shipment, event, order } = await createShipment(req.params.id, req.body, {
+      adminId: req.user.id
+    });
+
+    res.status(201).json({
+      message: 'Shipment created successfully',
+      shipment,
+      event,
+      order
+    });
+  } catch (error) {
+    console.error('Create shipment error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to create shipment'
+    });
+  }
+});
+
+router.put('/shipments/:id', requireAdmin, validateRequest(shipmentUpdateSchema), async (req, res) => {
+  try {
+    const shipment = await updateShipment(req.params.id, req.body);
+
+    res.json({
+      message: 'Shipment updated successfully',
+      shipment
+    });
+  } catch (error) {
+    console.error('Update shipment error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to update shipment'
+    });
+  }
+});
+
+// Tracking update; 'delivered' events may attach a proof_of_delivery image
+router.post('/shipments/:id/events', requireAdmin, imageUpload.single('proof_of_delivery'), validateRequest(shipmentEventSchema), async (req, res) => {
+  try {
+    const { event_type, description, location, occurred_at } = req.body;
+
+    let proofOfDeliveryUrl = null;
+    if (req.file && event_type === 'delivered') {
+      try {
+        proofOfDeliveryUrl = await uploadImage(req.file, 'proof-of-delivery');
+      } catch (uploadError) {
+        console.error('Cloudinary upload error:', uploadError);
+        return res.status(500).json({ error: 'Failed to upload image' });
+      }
+    }
+
+    const { shipment, event, order } = await addShipmentEvent(req.params.id, {
+      eventType: event_type,
+      description,
+      location,
+      occurredAt: occurred_at,
+      proofOfDeliveryUrl
+    }, { adminId: req.user.id });
+
+    res.status(201).json({
+      message: 'Shipment event recorded',
+      shipment,
+      event,
+      order
+    });
+  } catch (error) {
+    console.error('Add shipment event error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to record shipment event'
+    });
+  }
+});
+
+// Returns of delivered items
+router.get('/returns', requireAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, order_id } = req.query;
+    const from = (page - 1) * limit;
+    const to = from + limit - 1;
+
+    let query = supabaseAdmin
+      .from('return_requests')
+      .select(`
+        *,
+        users!return_requests_user_id_fkey (full_name, email, phone)
+      `, { count: 'exact' })
+      .order('created_at', { ascending: false });
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    if (order_id) {
+      query = query.eq('order_id', order_id);
+    }
+
+    const { data: returns, error, count } = await query.range(from, to);
+
+    if (error) throw error;
+
+    res.json({
+      returns: returns || [],
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get returns error:', error);
+    res.status(500).json({ error: 'Failed to fetch returns' });
+  }
+});
+
+router.post('/returns/:id/approve', requireAdmin, validateRequest(returnApprovalSchema), async (req, res) => {
+  try {
+    const { amount, restock = false, note } = req.body;
+
+    const { returnRequest, refund } = await approveReturn(req.params.id, {
+      adminId: req.user.id,
+      amount,
+      restock,
+      note: note || null
+    });
+
+    res.json({
+      message: 'Return approved and refund started',
+      return_request: returnRequest,
+      refund
+    });
+  } catch (error) {
+    console.error('Approve return error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to approve return'
+    });
+  }
+});
+
+router.post('/returns/:id/reject', requireAdmin, async (req, res) => {
+  try {
+    const returnRequest = await rejectReturn(req.params.id, {
+      adminId: req.user.id,
+      note: req.body.note || null
+    });
+
+    res.json({
+      message: 'Return rejected',
+      return_request: returnRequest
+    });
+  } catch (error) {
+    console.error('Reject return error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to reject return'
+    });
+  }
+});
+
+// Pending-payment reconciliation runs
+router.get('/reconciliation-runs', requireAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    const from = (page - 1) * limit;
+    const to = from + limit - 1;
+
+    let query = supabaseAdmin
+      .from('reconciliation_runs')
+      .select('id, trigger, triggered_by, status, checked, settled, flagged, failed, expired, unchanged, errors, error, started_at, finished_at', { count: 'exact' })
+      .order('started_at', { ascending: false });
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: runs, error, count } = await query.range(from, to);
+
+    if (error) throw error;
+
+    res.json({
+      runs: runs || [],
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get reconciliation runs error:', error);
+    res.status(500).json({ error: 'Failed to fetch reconciliation runs' });
+  }
+});
+
+router.get('/reconciliation-runs/:id', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: run, error } = await supabaseAdmin
+      .from('reconciliation_runs')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!run) {
+      return res.status(404).json({ error: 'Reconciliation run not found' });
+    }
+
+    res.json({ run });
+  } catch (error) {
+    console.error('Get reconciliation run error:', error);
+    res.status(500).json({ error: 'Failed to fetch reconciliation run' });
+  }
+});
+
+// Run reconciliation now instead of waiting for the next scheduled run
+router.post('/reconciliation-runs', requireAdmin, async (req, res) => {
+  try {
+    const run = await runReconciliation({ trigger: 'manual', triggeredBy: req.user.id });
+
+    if (!run) {
+      return res.status(409).json({ error: 'A reconciliation run is already in progress' });
+    }
+
+    res.status(201).json({ run });
+  } catch (error) {
+    console.error('Run reconciliation error:', error);
+    res.status(500).json({ error: 'Failed to run reconciliation' });
+  }
+});
+
+// Email outbox and per-message delivery log
+router.get('/emails', requireAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, template, to: recipient } = req.query;
+    const from = (page - 1) * limit;
+    const to = from + limit - 1;
+
+    let query = supabaseAdmin
+      .from('email_outbox')
+      .select('id, to_address, subject, template, status, attempts, max_attempts, next_attempt_at, last_error, transport, sent_at, created_at', { count: 'exact' })
+      .order('created_at', { ascending: false });
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    if (template) {
+      query = query.eq('template', template);
+    }
+
+    if (recipient) {
+      query = query.ilike('to_address', `%${recipient}%`);
+    }
+
+    const { data: emails, error, count } = await query.range(from, to);
+
+    if (error) throw error;
+
+    res.json({
+      emails: emails || [],
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get emails error:', error);
+    res.status(500).json({ error: 'Failed to fetch emails' });
+  }
+});
+
+router.get('/emails/:id', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: email, error } = await supabaseAdmin
+      .from('email_outbox')
+      .select('*, email_attempts (attempt, status, transport, provider_message_id, error, created_at)')
+      .eq('id', id)
+      .order('attempt', { referencedTable: 'email_attempts', ascending: true })
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!email) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    res.json({ email });
+  } catch (error) {
+    console.error('Get email error:', error);
+    res.status(500).json({ error: 'Failed to fetch email' });
+  }
+});
+
+// Send a failed email again
+router.post('/emails/:id/retry', requireAdmin, async (req, res) => {
+  try {
+    const email = await retryEmail(req.params.id);
+
+    res.json({
+      message: 'Email queued for another attempt',
+      email
+    });
+  } catch (error) {
+    console.error('Retry email error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to retry email'
+    });
+  }
+});
+
+router.use(handleUploadError);
+
 export default router;
@@ -2,12 +2,12 @@
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
 import { supabaseAdmin } from '../config/supabase.js';
-import { Resend } from 'resend';
 import passport from '../config/passport.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { sendEmailAndWait } from '../utils/emailService.js';
+import { normalizeAddress, normalizePhone } from '../utils/addresses.js';
 
 const router = express.Router();
-const resend = new Resend(process.env.RESEND_API_KEY);
 
 // Utility functions
 const generateToken = (payload, expiresIn = '7d') => {
@@ -21,25 +21,6 @@ const hashPassword = async (password) => {
 const comparePassword = async (password, hashedPassword) => {
   return await bcrypt.compare(password, hashedPassword);
 };
-const sendEmail = async (to, subject, html) => {
-  try {
-    const { data, error } = await resend.emails.send({
-      from: 'Health Excellence <hello@healthexcellence.shop>',
-      to: [to],
-      subject,
-      html,
-    });
-
-    if (error) {
-      console.error('Email error:', error);
-      return false;
-    }
-    return true;
-  } catch (error) {
-    console.error('Email send error:', error);
-    return false;
-  }
-};
 
 // Modern Email Template Generator
 const generateEmailTemplate = (type, data) => {
@@ -832,16 +813,19 @@ router.post('/register', async (req, res) => {
       verificationUrl
     });
 
-    const emailSent = await sendEmail(
-      email,
-      'Verify Your Email - Health Excellence',
-      emailHtml
-    );
+    const { queued: emailQueued, sent: emailSent } = await sendEmailAndWait({
+      template: 'verification',
+      to: email,
+      subject: 'Verify Your Email - Health Excellence',
+      html: emailHtml
+    });
 
     const token = generateToken({ userId: userData.id });
 
     res.status(201).json({
-      message: 'User registered successfully. Please check your email to verify your account.',
+      message: emailSent
+        ? 'User registered successfully. Please check your email to verify your account.'
+        : 'User registered successfully, but we could not send your verification email yet. We will keep trying, or you can request a new one.',
       user: {
         id: userData.id,
         email: userData.email,
@@ -852,6 +836,7 @@ router.post('/register', async (req, res) => {
         auth_provider: userData.auth_provider
       },
       token,
+      emailQueued,
       emailSent
     });
   } catch (error) {
@@ -946,14 +931,18 @@ router.post('/resend-verification', async (req, res) => {
       verificationUrl
     });
 
-    const emailSent = await sendEmail(
-      email,
-      'Verify Your Email - Health Excellence',
-      emailHtml
-    );
+    const { queued: emailQueued, sent: emailSent } = await sendEmailAndWait({
+      template: 'verification',
+      to: email,
+      subject: 'Verify Your Email - Health Excellence',
+      html: emailHtml
+    });
 
     res.json({ 
-      message: 'Verification email sent successfully',
+      message: emailSent
+        ? 'Verification email sent successfully'
+        : 'We could not send the verification email yet. We will keep trying.',
+      emailQueued,
       emailSent
     });
   } catch (error) {
@@ -1023,7 +1012,7 @@ router.post('/forgot-password', async (req, res) => {
     if (userError || !user) {
       // Return success even if user doesn't exist for security
       return res.json({ 
-        message: 'If an account with that email exists, a password reset link has been sent.' 
+        message: 'If an account with that email exists, a password reset link is on its way to it.' 
       });
     }
 
@@ -1048,14 +1037,16 @@ router.post('/forgot-password', async (req, res) => {
       resetUrl
     });
 
-    const emailSent = await sendEmail(
-      email,
-      'Reset Your Password - Health Excellence',
-      emailHtml
-    );
+    const { queued: emailQueued, sent: emailSent } = await sendEmailAndWait({
+      template: 'password_reset',
+      to: email,
+      subject: 'Reset Your Password - Health Excellence',
+      html: emailHtml
+    });
 
     res.json({ 
-      message: 'If an account with that email exists, a password reset link has been sent.',
+      message: 'If an account with that email exists, a password reset link is on its way to it.',
+      emailQueued,
       emailSent
     });
   } catch (error) {
@@ -1144,10 +1135,38 @@ router.get('/me', authenticateToken, async (req, res) => {
 router.put('/profile', authenticateToken, async (req, res) => {
   try {
     const { full_name, phone, address } = req.body;
+    const errors = [];
+
+    // Phone and address are stored in canonical form; null clears them
+    let normalizedPhone = phone;
+    if (phone) {
+      normalizedPhone = normalizePhone(phone);
+      if (!normalizedPhone) {
+        errors.push(`"${phone}" is not a valid Nigerian phone number`);
+      }
+    }
+
+    let normalizedAddress = address;
+    if (address) {
+      if (typeof address !== 'object' || Array.isArray(address)) {
+        errors.push('address must be an object with line1, landmark, lga, state and phone');
+      } else {
+        const result = normalizeAddress(address);
+        normalizedAddress = result.address;
+        errors.push(...result.errors);
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid profile details',
+        details: errors
+      });
+    }
 
     const { data: user, error } = await supabaseAdmin
       .from('users')
-      .update({ full_name, phone, address })
+      .update({ full_name, phone: normalizedPhone, address: normalizedAddress })
       .eq('id', req.user.id)
       .select('id, email, full_name, phone, is_admin, address, is_verified, avatar_url, auth_provider, created_at')
       .single();
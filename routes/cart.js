@@ -1,6 +1,14 @@
 ﻿import express from 'express';
 import { supabaseAdmin } from '../config/supabase.js';
 import { authenticateToken } from '../middleware/auth.js';
+import {
+  calculateOrderTotals,
+  getShippingWeight,
+  PRODUCT_SHIPPING_COLUMNS
+} from '../utils/delivery.js';
+import { validateDiscountCode, normalizeDiscountCode } from '../utils/discounts.js';
+import { resolveDelivery } from '../utils/deliveryZones.js';
+import { normalizeState, normalizeLga } from '../utils/nigerianLocations.js';
 
 const router = express.Router();
 
@@ -56,7 +64,8 @@ router.post('/add', authenticateToken, async (req, res) => {
       .upsert({
         user_id: req.user.id,
         product_id,
-        quantity
+        quantity,
+        updated_at: new Date().toISOString()
       }, {
         onConflict: 'user_id,product_id'
       })
@@ -123,7 +132,7 @@ router.put('/update/:id', authenticateToken, async (req, res) => {
     // Update quantity
     const { data: updatedItem, error } = await supabaseAdmin
       .from('cart')
-      .update({ quantity })
+      .update({ quantity, updated_at: new Date().toISOString() })
       .eq('id', id)
       .eq('user_id', req.user.id)
       .select(`
@@ -187,4 +196,94 @@ router.delete('/clear', authenticateToken, async (req, res) => {
   }
 });
 
-export default router;
+// Preview checkout totals for the current cart, optionally with a discount code.
+// Nothing is written here: no order is created and Paystack is not called.
+router.post('/preview', authenticateToken, async (req, res) => {
+  try {
+    const { state, city, discount_code, delivery_method = 'standard', pickup_location_id } = req.body;
+
+    if (!state) {
+      return res.status(400).json({ error: 'State is required' });
+    }
+
+    if (discount_code != null && typeof discount_code !== 'string') {
+      return res.status(400).json({ error: 'discount_code must be a string' });
+    }
+
+    if (!normalizeState(state)) {
+      return res.status(400).json({ error: 'Invalid Nigerian state' });
+    }
+
+    if (city && !normalizeLga(state, city)) {
+      return res.status(400).json({ error: `"${city}" is not a local government area of ${normalizeState(state)}` });
+    }
+
+    const { data: cartItems, error: cartError } = await supabaseAdmin
+      .from('cart')
+      .select(`
+        quantity,
+        products (id, name, price, stock, category_id, ${PRODUCT_SHIPPING_COLUMNS})
+      `)
+      .eq('user_id', req.user.id);
+
+    if (cartError) {
+      throw cartError;
+    }
+
+    if (!cartItems || cartItems.length === 0) {
+      return res.status(400).json({ error: 'Cart is empty' });
+    }
+
+    const items = cartItems.map(item => ({
+      product_id: item.products.id,
+      product_name: item.products.name,
+      category_id: item.products.category_id,
+      quantity: item.quantity,
+      price: item.products.price,
+      shipping_weight_kg: getShippingWeight(item.products)
+    }));
+
+    let discount = null;
+    let discountResult = null;
+    if (discount_code && discount_code.trim()) {
+      discountResult = await validateDiscountCode(discount_code, {
+        userId: req.user.id,
+        items
+      });
+
+      if (discountResult.valid) {
+        discount = discountResult.discount;
+      }
+    }
+
+    const { deliveryZone, pickupLocation } = await resolveDelivery({
+      state,
+      city,
+      method: delivery_method,
+      pickupLocationId: pickup_location_id
+    });
+    const totals = calculateOrderTotals(items, deliveryZone, discount, {
+      method: delivery_method,
+      pickupLocation
+    });
+
+    res.json({
+      items,
+      totals,
+      discount: discountResult && {
+        code: normalizeDiscountCode(discount_code),
+        applied: discountResult.valid,
+        discount_type: discount?.discount_type || null,
+        amount: totals.discountAmount + totals.deliveryDiscount,
+        reason: discountResult.valid ? null : discountResult.error
+      }
+    });
+  } catch (error) {
+    console.error('Cart preview error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to preview cart totals'
+    });
+  }
+});
+
+export default router;
\ No newline at end of file
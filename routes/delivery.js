@@ -0,0 +1,99 @@
+import express from 'express';
+import { supabaseAdmin } from '../config/supabase.js';
+import { optionalAuth } from '../middleware/auth.js';
+import { NIGERIAN_STATES, normalizeState, normalizeLga, getLgas } from '../utils/nigerianLocations.js';
+import { getDeliveryQuote } from '../utils/deliveryZones.js';
+
+const router = express.Router();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Parse `items=<product_id>:<quantity>,...`; returns null when malformed
+const parseItems = (value) => {
+  const lines = String(value).split(',').filter(Boolean).map(entry => {
+    const [productId, quantity = '1'] = entry.split(':');
+    return { product_id: productId.trim(), quantity: Number(quantity) };
+  });
+
+  const valid = lines.every(line => UUID_PATTERN.test(line.product_id) &&
+    Number.isInteger(line.quantity) && line.quantity > 0);
+
+  return valid ? lines : null;
+};
+
+const getCartLines = async (userId) => {
+  const { data: cartItems, error } = await supabaseAdmin
+    .from('cart')
+    .select('product_id, quantity')
+    .eq('user_id', userId);
+
+  if (error) {
+    throw error;
+  }
+
+  return cartItems || [];
+};
+
+// Delivery fee, label and ETA for a state and optional city. Prices the
+// `items` given (product_id:quantity pairs) or, for a signed-in customer, their
+// cart. Without `state` only the supported states are returned.
+router.get('/quote', optionalAuth, async (req, res) => {
+  try {
+    const { state, city, items } = req.query;
+
+    if (!state) {
+      return res.json({ quote: null, supported_states: NIGERIAN_STATES });
+    }
+
+    if (!normalizeState(String(state))) {
+      return res.status(400).json({
+        error: 'Invalid Nigerian state',
+        supported_states: NIGERIAN_STATES
+      });
+    }
+
+    if (city && !normalizeLga(String(state), String(city))) {
+      return res.status(400).json({
+        error: `"${city}" is not a local government area of ${normalizeState(String(state))}`,
+        lgas: getLgas(String(state))
+      });
+    }
+
+    let lines = [];
+    let basedOn = 'base_rate';
+
+    if (items) {
+      lines = parseItems(items);
+      if (!lines) {
+        return res.status(400).json({ error: 'items must be a list of product_id:quantity pairs' });
+      }
+      basedOn = 'items';
+    } else if (req.user) {
+      lines = await getCartLines(req.user.id);
+      if (lines.length > 0) {
+        basedOn = 'cart';
+      }
+    }
+
+    const quote = await getDeliveryQuote({ state: String(state), city: city ? String(city) : null, items: lines });
+
+    res.json({
+      quote: { ...quote, based_on: basedOn },
+      supported_states: NIGERIAN_STATES
+    });
+  } catch (error) {
+    console.error('Delivery quote error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to get delivery quote'
+    });
+  }
+});
+
+// Every state with its local government areas, for address forms
+router.get('/states', (req, res) => {
+  res.json({
+    states: NIGERIAN_STATES.map(name => ({ name, lgas: getLgas(name) }))
+  });
+});
+
+export default router;
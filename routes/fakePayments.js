@@ -0,0 +1,72 @@
+// routes/fakePayments.js - Local fake payment gateway (development and tests only)
+import express from 'express';
+import fakeProvider from '../utils/paymentProviders/fake.js';
+import { processProviderWebhook } from '../utils/webhookEvents.js';
+
+const router = express.Router();
+
+/**
+ * Webhook endpoint for the fake provider, signed with FAKE_PAYMENT_SECRET
+ */
+router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+  try {
+    const result = await processProviderWebhook(fakeProvider, req.body, req.headers);
+    res.json({ received: true, ...result });
+  } catch (error) {
+    console.error('❌ Fake webhook error:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Webhook processing failed' });
+  }
+});
+
+/**
+ * "Checkout page" for a fake transaction (the authorization_url)
+ */
+router.get('/transactions/:reference', (req, res) => {
+  const transaction = fakeProvider.getTransaction(req.params.reference);
+
+  if (!transaction) {
+    return res.status(404).json({ error: 'Transaction not found' });
+  }
+
+  res.json({
+    transaction,
+    actions: {
+      succeed: `POST /api/payments/fake/transactions/${transaction.reference}/succeed`,
+      fail: `POST /api/payments/fake/transactions/${transaction.reference}/fail`
+    }
+  });
+});
+
+/**
+ * Complete a fake transaction and deliver its webhook through the normal
+ * webhook pipeline. Body may override `amount` (kobo) and `currency`.
+ */
+router.post('/transactions/:reference/:outcome(succeed|fail)', express.json(), async (req, res) => {
+  try {
+    const { reference, outcome } = req.params;
+    const { amount, currency } = req.body || {};
+
+    const { rawBody, headers } = fakeProvider.simulateWebhook(reference, {
+      outcome: outcome === 'succeed' ? 'success' : 'failed',
+      amount,
+      currency
+    });
+
+    const result = await processProviderWebhook(fakeProvider, rawBody, headers);
+
+    res.json({
+      message: `Simulated ${outcome === 'succeed' ? 'successful' : 'failed'} payment`,
+      reference,
+      webhook: result
+    });
+  } catch (error) {
+    if (error.response?.data) {
+      return res.status(404).json({ error: error.response.data.message });
+    }
+
+    console.error('Fake payment simulation error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+export default router;
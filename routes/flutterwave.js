@@ -0,0 +1,32 @@
+// routes/flutterwave.js - Flutterwave webhook
+import express from 'express';
+import { processProviderWebhook } from '../utils/webhookEvents.js';
+import { getPaymentProvider } from '../utils/paymentProviders/index.js';
+
+const router = express.Router();
+
+/**
+ * Webhook handler - called by Flutterwave when a charge or refund completes.
+ * Signed with the secret hash set under Settings > Webhooks (FLUTTERWAVE_SECRET_HASH)
+ */
+router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+  try {
+    console.log('📥 Flutterwave webhook received');
+
+    const result = await processProviderWebhook(getPaymentProvider('flutterwave'), req.body, req.headers);
+
+    res.json({
+      received: true,
+      ...result
+    });
+  } catch (error) {
+    if (error.status === 401) {
+      console.error('❌ Invalid Flutterwave webhook signature');
+    } else {
+      console.error('❌ Flutterwave webhook error:', error);
+    }
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Webhook processing failed' });
+  }
+});
+
+export default router;
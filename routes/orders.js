@@ -1,21 +1,78 @@
 ﻿import express from 'express';
-import axios from 'axios';
 import { supabaseAdmin } from '../config/supabase.js';
 import { authenticateToken } from '../middleware/auth.js';
-import { calculateOrderTotals, validateNigerianState } from '../utils/delivery.js';
+import {
+  calculateOrderTotals,
+  getShippingWeight,
+  DELIVERY_METHODS,
+  PRODUCT_SHIPPING_COLUMNS
+} from '../utils/delivery.js';
+import { resolveDelivery } from '../utils/deliveryZones.js';
+import { normalizeAddress, formatAddress } from '../utils/addresses.js';
 import { sendOrderConfirmationEmail } from '../utils/emailService.js';
+import { validateDiscountCode } from '../utils/discounts.js';
+import { reserveStock, commitStock } from '../utils/inventory.js';
+import {
+  PAYMENT_METHODS,
+  INITIAL_ORDER_STATE,
+  getBankTransferDetails
+} from '../utils/paymentMethods.js';
+import { settlePayment } from '../utils/paymentSettlement.js';
+import { getOrderExpiresAt, isOrderExpired, UNPAID_PAYMENT_STATUSES } from '../utils/orderExpiry.js';
+import {
+  changeOrderStatus,
+  advanceOrderStatus,
+  recordStatusChange,
+  getStatusHistory
+} from '../utils/orderStatus.js';
+import {
+  PAID_PAYMENT_STATUSES,
+  assertCustomerCancellable,
+  cancelUnpaidOrder,
+  requestCancellation
+} from '../utils/cancellations.js';
+import { returnRequestSchema, validateRequest } from '../utils/helpers.js';
+import { imageUpload, handleUploadError } from '../utils/uploads.js';
+import { openReturn } from '../utils/returns.js';
+import { getTracking } from '../utils/shipments.js';
+import {
+  getPaymentProvider,
+  getPaymentProviderName,
+  getAvailablePaymentProviders
+} from '../utils/paymentProviders/index.js';
 
 const router = express.Router();
 
 // Create order and initialize payment
 router.post('/create', authenticateToken, async (req, res) => {
   try {
-    const { state, city, address, phone, discount_code, email } = req.body;
+    const {
+      state,
+      city,
+      address,
+      phone,
+      discount_code,
+      email,
+      payment_method = 'online',
+      payment_provider = getPaymentProviderName(),
+      delivery_method = 'standard',
+      pickup_location_id
+    } = req.body;
+
+    // The address is either structured ({ line1, landmark, lga, state, phone })
+    // or the older flat state/city/address/phone fields. Pickup orders only
+    // need the state and LGA.
+    const addressFields = address && typeof address === 'object'
+      ? address
+      : { line1: address, lga: city, state, phone };
+    const { address: deliveryAddress, errors: addressErrors } = normalizeAddress(addressFields, {
+      requireLine1: delivery_method !== 'pickup'
+    });
 
-    // Validate required fields
-    if (!state || !city || !address) {
-      return res.status(400).json({ 
-        error: 'Missing required fields: state, city, and address are required' 
+    if (addressErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid address',
+        details: addressErrors
       });
     }
 
@@ -25,9 +82,31 @@ router.post('/create', authenticateToken, async (req, res) => {
       });
     }
 
-    // Validate state
-    if (!validateNigerianState(state)) {
-      return res.status(400).json({ error: 'Invalid Nigerian state' });
+    if (discount_code != null && typeof discount_code !== 'string') {
+      return res.status(400).json({ error: 'discount_code must be a string' });
+    }
+
+    if (!PAYMENT_METHODS.includes(payment_method)) {
+      return res.status(400).json({
+        error: 'Invalid payment method',
+        available_methods: PAYMENT_METHODS
+      });
+    }
+
+    if (!DELIVERY_METHODS.includes(delivery_method)) {
+      return res.status(400).json({
+        error: 'Invalid delivery method',
+        available_methods: DELIVERY_METHODS
+      });
+    }
+
+    const isOnlinePayment = payment_method === 'online';
+
+    if (isOnlinePayment && !getAvailablePaymentProviders().includes(payment_provider)) {
+      return res.status(400).json({
+        error: 'Unsupported payment provider',
+        available_providers: getAvailablePaymentProviders()
+      });
     }
 
     // Get user cart
@@ -35,7 +114,7 @@ router.post('/create', authenticateToken, async (req, res) => {
       .from('cart')
       .select(`
         quantity,
-        products (id, name, price, stock)
+        products (id, name, price, stock, category_id, ${PRODUCT_SHIPPING_COLUMNS})
       `)
       .eq('user_id', req.user.id);
 
@@ -59,14 +138,41 @@ router.post('/create', authenticateToken, async (req, res) => {
       orderItems.push({
         product_id: item.products.id,
         product_name: item.products.name,
+        category_id: item.products.category_id,
         quantity: item.quantity,
-        price: item.products.price
+        price: item.products.price,
+        shipping_weight_kg: getShippingWeight(item.products)
       });
     }
 
+    // Validate discount code if provided
+    let discount = null;
+    if (discount_code && discount_code.trim()) {
+      const discountResult = await validateDiscountCode(discount_code, {
+        userId: req.user.id,
+        items: orderItems
+      });
+
+      if (!discountResult.valid) {
+        return res.status(discountResult.status).json({ error: discountResult.error });
+      }
+
+      discount = discountResult.discount;
+    }
+
     // Calculate totals
-    const totals = calculateOrderTotals(orderItems, state);
-  // Create order
+    const { deliveryZone, pickupLocation } = await resolveDelivery({
+      state: deliveryAddress.state,
+      city: deliveryAddress.lga,
+      method: delivery_method,
+      pickupLocationId: pickup_location_id
+    });
+    const totals = calculateOrderTotals(orderItems, deliveryZone, discount, {
+      method: delivery_method,
+      pickupLocation
+    });
+
+    // Create order
     const { data: order, error: orderError } = await supabaseAdmin
       .from('orders')
       .insert([
@@ -75,14 +181,23 @@ router.post('/create', authenticateToken, async (req, res) => {
           order_items: orderItems,
           subtotal: totals.subtotal,
           delivery_fee: totals.deliveryFee,
-          discount_code: discount_code || null,
+          delivery_zone_id: deliveryZone.id,
+          delivery_method,
+          pickup_location_id: pickupLocation?.id || null,
+          delivery_breakdown: totals.deliveryBreakdown,
+          discount_code: discount ? discount.code : null,
+          discount_amount: totals.discountAmount,
+          delivery_discount: totals.deliveryDiscount,
           total: totals.total,
-          state,
-          city,
-          address,
-          phone: phone || null,
-          payment_status: 'pending',
-          order_status: 'pending'
+          state: deliveryAddress.state,
+          city: deliveryAddress.lga,
+          address: formatAddress(deliveryAddress) || pickupLocation.address,
+          phone: deliveryAddress.phone,
+          delivery_address: deliveryAddress,
+          payment_method,
+          payment_provider: isOnlinePayment ? payment_provider : null,
+          expires_at: getOrderExpiresAt(payment_method),
+          ...INITIAL_ORDER_STATE[payment_method]
         }
       ])
       .select()
@@ -92,60 +207,98 @@ router.post('/create', authenticateToken, async (req, res) => {
       throw orderError;
     }
 
-    // Send order confirmation email (non-blocking)
-    try {
-      // Get user details for email
-      const { data: userData } = await supabaseAdmin
-        .from('users')
-        .select('full_name, email')
-        .eq('id', req.user.id)
-        .single();
-
-      await sendOrderConfirmationEmail(
-        order, 
-        email, // Use the email from request body
-        userData?.full_name || 'Customer'
-      );
-    } catch (emailError) {
-      console.error('Failed to send order confirmation email:', emailError);
-      // Don't fail the order creation if email fails
+    // Hold the stock for as long as the order can be paid
+    const reservation = await reserveStock(order.id, orderItems, {
+      ...(order.expires_at && { expiresAt: new Date(order.expires_at) })
+    });
+    if (!reservation.reserved) {
+      await supabaseAdmin.from('orders').delete().eq('id', order.id);
+
+      const item = orderItems.find(orderItem => orderItem.product_id === reservation.productId);
+      return res.status(409).json({
+        error: `Insufficient stock for ${item?.product_name || 'an item in your cart'}`
+      });
     }
-    // Initialize Paystack payment
-    try {
-      const paystackResponse = await axios.post(
-        'https://api.paystack.co/transaction/initialize',
-        {
-          email,
-          amount: Math.round(order.total * 100), // Convert to kobo
-          reference: `order_${order.id}_${Date.now()}`,
-          callback_url: `${process.env.FRONTEND_URL}/verify-payment`,
-          metadata: {
-            order_id: order.id,
-            user_id: req.user.id,
-            custom_fields: [
-              {
-                display_name: "Order ID",
-                variable_name: "order_id",
-                value: order.id
-              }
-            ]
-          }
-        },
-        {
-          headers: {
-            Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
-            'Content-Type': 'application/json'
-          }
+
+    await recordStatusChange(order.id, {
+      to: order.order_status,
+      changedBy: req.user.id,
+      note: 'Order placed'
+    });
+
+    // Cash on delivery orders go straight to processing, so the stock is sold now
+    if (payment_method === 'cod') {
+      await commitStock(order);
+    }
+
+    // Offline payments: no gateway involved
+    if (!isOnlinePayment) {
+      // Send order confirmation email (non-blocking). Online orders are
+      // emailed once their payment is received.
+      try {
+        // Get user details for email
+        const { data: userData } = await supabaseAdmin
+          .from('users')
+          .select('full_name, email')
+          .eq('id', req.user.id)
+          .single();
+
+        await sendOrderConfirmationEmail(
+          order,
+          email, // Use the email from request body
+          userData?.full_name || 'Customer'
+        );
+      } catch (emailError) {
+        console.error('Failed to send order confirmation email:', emailError);
+        // Don't fail the order creation if email fails
+      }
+
+      await supabaseAdmin
+        .from('cart')
+        .delete()
+        .eq('user_id', req.user.id);
+
+      return res.status(201).json({
+        message: payment_method === 'cod'
+          ? 'Order placed. Pay on delivery.'
+          : 'Order placed. Complete the bank transfer to confirm it.',
+        order,
+        payment: {
+          method: payment_method,
+          ...(payment_method === 'bank_transfer' && {
+            bank_transfer: getBankTransferDetails(order),
+            hold_expires_at: reservation.expiresAt
+          })
         }
-      );
+      });
+    }
 
-      const { data: paystackData } = paystackResponse.data;
+    // Initialize payment
+    try {
+      const paymentData = await getPaymentProvider(payment_provider).initializeTransaction({
+        email,
+        amount: order.total,
+        reference: `order_${order.id}_${Date.now()}`,
+        callbackUrl: `${process.env.FRONTEND_URL}/verify-payment`,
+        metadata: {
+          order_id: order.id,
+          user_id: req.user.id,
+          custom_fields: [
+            {
+              display_name: "Order ID",
+              variable_name: "order_id",
+              value: order.id
+            }
+          ]
+        }
+      });
 
       // Update order with payment reference
       await supabaseAdmin
         .from('orders')
         .update({ 
-          payment_reference: paystackData.reference 
+          payment_reference: paymentData.reference,
+          payment_initialized_at: new Date().toISOString()
         })
         .eq('id', order.id);
 
@@ -154,35 +307,38 @@ router.post('/create', authenticateToken, async (req, res) => {
         message: 'Order created successfully',
         order: {
           ...order,
-          payment_reference: paystackData.reference
+          payment_reference: paymentData.reference
         },
         payment: {
-          authorization_url: paystackData.authorization_url,
-          access_code: paystackData.access_code,
-          reference: paystackData.reference
+          authorization_url: paymentData.authorization_url,
+          access_code: paymentData.access_code,
+          reference: paymentData.reference,
+          provider: payment_provider
         }
       });
 
-    } catch (paystackError) {
-      console.error('Paystack initialization error:', paystackError.response?.data || paystackError);
+    } catch (paymentError) {
+      console.error('Payment initialization error:', paymentError.response?.data || paymentError);
       
       // Order was created but payment initialization failed
-      // You might want to delete the order or mark it as failed
-      await supabaseAdmin
-        .from('orders')
-        .update({ order_status: 'payment_failed' })
-        .eq('id', order.id);
+      try {
+        await changeOrderStatus(order, 'payment_failed', { note: 'Payment initialization failed' });
+      } catch (statusError) {
+        console.error('Failed to mark order as payment_failed:', statusError);
+      }
 
       return res.status(500).json({ 
         error: 'Order created but payment initialization failed',
         order_id: order.id,
-        details: paystackError.response?.data
+        details: paymentError.response?.data
       });
     }
 
   } catch (error) {
     console.error('Create order error:', error);
-    res.status(500).json({ error: 'Failed to create order' });
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to create order'
+    });
   }
 });
 
@@ -238,7 +394,12 @@ router.get('/:id', authenticateToken, async (req, res) => {
       throw error;
     }
 
-    res.json({ order });
+    const [status_history, tracking] = await Promise.all([
+      getStatusHistory(order.id),
+      getTracking(order.id)
+    ]);
+
+    res.json({ order: { ...order, status_history, tracking } });
   } catch (error) {
     console.error('Get order error:', error);
     res.status(500).json({ error: 'Failed to fetch order' });
@@ -249,12 +410,19 @@ router.get('/:id', authenticateToken, async (req, res) => {
 router.post('/:id/retry-payment', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { email } = req.body;
+    const { email, payment_provider } = req.body;
 
     if (!email) {
       return res.status(400).json({ error: 'Email is required' });
     }
 
+    if (payment_provider && !getAvailablePaymentProviders().includes(payment_provider)) {
+      return res.status(400).json({
+        error: 'Unsupported payment provider',
+        available_providers: getAvailablePaymentProviders()
+      });
+    }
+
     // Get order
     const { data: order, error: orderError } = await supabaseAdmin
       .from('orders')
@@ -271,41 +439,103 @@ router.post('/:id/retry-payment', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Order already paid' });
     }
 
-    // Initialize payment
-    const paystackResponse = await axios.post(
-      'https://api.paystack.co/transaction/initialize',
-      {
-        email,
-        amount: Math.round(order.total * 100),
-        reference: `order_${order.id}_${Date.now()}`,
-        callback_url: `${process.env.FRONTEND_URL}/verify-payment`,
-        metadata: {
-          order_id: order.id,
-          user_id: req.user.id
-        }
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
-          'Content-Type': 'application/json'
+    // Refunded orders and payments under review must not be charged again.
+    // Expired orders carry on to the late-payment check and a 410 below.
+    if (![...UNPAID_PAYMENT_STATUSES, 'expired'].includes(order.payment_status)) {
+      return res.status(400).json({
+        error: `Payment cannot be retried for an order that is ${order.payment_status}`
+      });
+    }
+
+    if (order.payment_method && order.payment_method !== 'online') {
+      return res.status(400).json({ error: 'Only online payments can be retried' });
+    }
+
+    // The previous attempt may have gone through without us hearing about it;
+    // settle it instead of charging the customer a second time
+    if (order.payment_reference) {
+      try {
+        const previousPayment = await getPaymentProvider(order.payment_provider)
+          .verifyTransaction(order.payment_reference);
+
+        if (previousPayment.status === 'success') {
+          const settlement = await settlePayment(order, {
+            reference: order.payment_reference,
+            amount: previousPayment.amount,
+            currency: previousPayment.currency
+          });
+
+          if (settlement.status === 'flagged') {
+            return res.status(409).json({
+              error: 'A previous payment for this order is under review',
+              order_id: order.id
+            });
+          }
+
+          return res.status(400).json({
+            error: 'Order already paid',
+            order: settlement.order
+          });
         }
+      } catch (verifyError) {
+        // Unknown or abandoned references are expected here
+        console.warn('Previous payment lookup failed:', verifyError.response?.data || verifyError.message);
       }
-    );
+    }
 
-    const { data: paystackData } = paystackResponse.data;
+    if (isOrderExpired(order)) {
+      return res.status(410).json({
+        error: 'This order has expired. Please place a new order.',
+        order_id: order.id
+      });
+    }
+
+    // Cancelled orders have already given their stock back
+    if (order.order_status === 'cancelled') {
+      return res.status(400).json({
+        error: 'This order has been cancelled. Please place a new order.',
+        order_id: order.id
+      });
+    }
+
+    // Initialize payment, optionally on a different gateway than last time
+    const provider = payment_provider || order.payment_provider || getPaymentProviderName();
+    const paymentData = await getPaymentProvider(provider).initializeTransaction({
+      email,
+      amount: order.total,
+      reference: `order_${order.id}_${Date.now()}`,
+      callbackUrl: `${process.env.FRONTEND_URL}/verify-payment`,
+      metadata: {
+        order_id: order.id,
+        user_id: req.user.id
+      }
+    });
 
     // Update payment reference
     await supabaseAdmin
       .from('orders')
-      .update({ payment_reference: paystackData.reference })
+      .update({
+        payment_reference: paymentData.reference,
+        payment_provider: provider,
+        payment_initialized_at: new Date().toISOString()
+      })
       .eq('id', order.id);
 
+    // A new payment attempt puts orders whose first one never started back to pending
+    if (order.order_status === 'payment_failed') {
+      await advanceOrderStatus(order, 'pending', {
+        changedBy: req.user.id,
+        note: 'Payment retried'
+      });
+    }
+
     res.json({
       message: 'Payment initialized successfully',
       payment: {
-        authorization_url: paystackData.authorization_url,
-        access_code: paystackData.access_code,
-        reference: paystackData.reference
+        authorization_url: paymentData.authorization_url,
+        access_code: paymentData.access_code,
+        reference: paymentData.reference,
+        provider
       }
     });
 
@@ -315,4 +545,117 @@ router.post('/:id/retry-payment', authenticateToken, async (req, res) => {
   }
 });
 
+// Cancel an order. Unpaid orders are cancelled straight away; paid ones
+// become a cancellation request for an admin to approve and refund.
+router.post('/:id/cancel', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const { data: order, error: orderError } = await supabaseAdmin
+      .from('orders')
+      .select('*')
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+
+    if (orderError) throw orderError;
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    assertCustomerCancellable(order);
+
+    if (PAID_PAYMENT_STATUSES.includes(order.payment_status)) {
+      const request = await requestCancellation(order, {
+        userId: req.user.id,
+        reason: reason || null
+      });
+
+      return res.status(202).json({
+        message: 'Cancellation requested. You will be refunded once it is approved.',
+        cancellation_request: request
+      });
+    }
+
+    const cancelledOrder = await cancelUnpaidOrder(order, {
+      changedBy: req.user.id,
+      note: reason || 'Cancelled by customer'
+    });
+
+    res.json({
+      message: 'Order cancelled successfully',
+      order: cancelledOrder
+    });
+  } catch (error) {
+    console.error('Cancel order error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to cancel order'
+    });
+  }
+});
+
+// Return line items of a delivered order, with up to 5 photos
+router.post('/:id/returns', authenticateToken, imageUpload.array('photos', 5), validateRequest(returnRequestSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { product_id, quantity, reason, details } = req.body;
+
+    const { data: order, error: orderError } = await supabaseAdmin
+      .from('orders')
+      .select('*')
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+
+    if (orderError) throw orderError;
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const returnRequest = await openReturn(order, {
+      userId: req.user.id,
+      productId: product_id,
+      quantity: quantity ? parseInt(quantity) : undefined,
+      reason,
+      details: details || '',
+      photos: req.files || []
+    });
+
+    res.status(201).json({
+      message: 'Return requested successfully',
+      return_request: returnRequest
+    });
+  } catch (error) {
+    console.error('Create return error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to request return'
+    });
+  }
+});
+
+router.get('/:id/returns', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: returns, error } = await supabaseAdmin
+      .from('return_requests')
+      .select('*')
+      .eq('order_id', id)
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({ returns: returns || [] });
+  } catch (error) {
+    console.error('Get returns error:', error);
+    res.status(500).json({ error: 'Failed to fetch returns' });
+  }
+});
+
+router.use(handleUploadError);
+
 export default router;
\ No newline at end of file
@@ -1,9 +1,10 @@
 ﻿// routes/paystack.js - Simplified Payment Routes
 import express from 'express';
-import axios from 'axios';
-import crypto from 'crypto';
 import { supabaseAdmin } from '../config/supabase.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { processProviderWebhook } from '../utils/webhookEvents.js';
+import { getPaymentProvider } from '../utils/paymentProviders/index.js';
+import { settlePayment } from '../utils/paymentSettlement.js';
 
 
 const router = express.Router();
@@ -14,142 +15,28 @@ const router = express.Router();
  */
 router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
   try {
-    // Verify webhook signature
-    const secret = process.env.PAYSTACK_SECRET_KEY;
-    const hash = crypto.createHmac('sha512', secret).update(req.body).digest('hex');
-    const signature = req.headers['x-paystack-signature'];
-
     console.log('📥 Paystack webhook received');
 
-    if (hash !== signature) {
-      console.error('❌ Invalid webhook signature');
-      return res.status(401).json({ error: 'Invalid signature' });
-    }
-
-    const event = JSON.parse(req.body);
-    console.log('📋 Event type:', event.event);
-
-    // Handle successful payment
-    if (event.event === 'charge.success') {
-      const { reference, status, metadata, amount } = event.data;
-
-      console.log('✅ Payment successful:', {
-        reference,
-        order_id: metadata?.order_id,
-        amount: amount / 100
-      });
-
-      if (metadata?.order_id && metadata?.user_id) {
-        // Get order details
-        const { data: order, error: orderError } = await supabaseAdmin
-          .from('orders')
-          .select('*')
-          .eq('id', metadata.order_id)
-          .single();
-
-        if (orderError) {
-          console.error('❌ Order not found:', orderError);
-          return res.status(404).json({ error: 'Order not found' });
-        }
-
-        // Update order status
-        const { data: updatedOrder, error: updateError } = await supabaseAdmin
-          .from('orders')
-          .update({
-            payment_status: 'success',
-            order_status: 'processing',
-            payment_reference: reference
-          })
-          .eq('id', metadata.order_id)
-          .select()
-          .single();
-
-        if (updateError) {
-          console.error('❌ Failed to update order:', updateError);
-          return res.status(500).json({ error: 'Failed to update order' });
-        }
-
-        console.log('✅ Order updated successfully:', updatedOrder.id);
-
-        // Clear user's cart
-        const { error: cartError } = await supabaseAdmin
-          .from('cart')
-          .delete()
-          .eq('user_id', metadata.user_id);
-
-        if (cartError) {
-          console.error('⚠️ Failed to clear cart:', cartError);
-        } else {
-          console.log('🛒 Cart cleared for user:', metadata.user_id);
-        }
-        // Fetch order items from JSON field in the order record
-        if (order.order_items && Array.isArray(order.order_items)) {
-          for (const item of order.order_items) {
-            const { error: stockError } = await supabaseAdmin.rpc('decrement_stock', {
-              product_id: item.product_id,
-              quantity: item.quantity
-            });
-
-            if (stockError) {
-              console.error(`⚠️ Failed to decrement stock for ${item.product_id}:`, stockError);
-            } else {
-              console.log(`✅ Stock decremented for product ${item.product_id}`);
-            }
-          }
-        } else {
-          console.warn('⚠️ No order items found in JSON field for order:', order.id);
-        }
-
-
-        // Get user details for email
-        const { data: user } = await supabaseAdmin
-          .from('users')
-          .select('full_name, email')
-          .eq('id', metadata.user_id)
-          .single();
-
-
-        return res.json({
-          received: true,
-          message: 'Payment processed successfully',
-          order_id: updatedOrder.id
-        });
-      }
-    }
-
-    // Handle failed payment
-    if (event.event === 'charge.failed') {
-      const { reference, metadata } = event.data;
-
-      console.log('❌ Payment failed:', {
-        reference,
-        order_id: metadata?.order_id
-      });
+    const result = await processProviderWebhook(getPaymentProvider('paystack'), req.body, req.headers);
 
-      if (metadata?.order_id) {
-        await supabaseAdmin
-          .from('orders')
-          .update({
-            payment_status: 'failed',
-            order_status: 'cancelled',
-            payment_reference: reference
-          })
-          .eq('id', metadata.order_id);
-
-        console.log('📝 Order marked as failed:', metadata.order_id);
-      }
-    }
-
-    res.json({ received: true });
+    res.json({
+      received: true,
+      ...result
+    });
   } catch (error) {
-    console.error('❌ Webhook error:', error);
-    res.status(500).json({ error: 'Webhook processing failed' });
+    if (error.status === 401) {
+      console.error('❌ Invalid webhook signature');
+    } else {
+      console.error('❌ Webhook error:', error);
+    }
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Webhook processing failed' });
   }
 });
 
 /**
  * Manual verification endpoint - BACKUP verification method
- * Used when user returns from Paystack or for manual verification
+ * Used when user returns from the payment page or for manual verification.
+ * Works for every provider; the order records which gateway to ask.
  */
 router.post('/verify', authenticateToken, async (req, res) => {
   try {
@@ -161,33 +48,42 @@ router.post('/verify', authenticateToken, async (req, res) => {
 
     console.log('🔍 Manual verification requested for:', reference);
 
-    // Verify with Paystack API
-    const response = await axios.get(
-      `https://api.paystack.co/transaction/verify/${reference}`,
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`
-        }
-      }
-    );
+    // Get order from reference
+    const { data: order, error: orderError } = await supabaseAdmin
+      .from('orders')
+      .select('*')
+      .eq('payment_reference', reference)
+      .eq('user_id', req.user.id)
+      .single();
 
-    const { data: paymentData } = response.data;
+    if (orderError || !order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (order.payment_method && order.payment_method !== 'online') {
+      return res.status(400).json({ error: 'Only online payments can be verified with the payment gateway' });
+    }
+
+    // Verify with the gateway that handled this order
+    const paymentData = await getPaymentProvider(order.payment_provider).verifyTransaction(reference);
 
     if (paymentData.status === 'success') {
-      // Get order from reference
-      const { data: order, error: orderError } = await supabaseAdmin
-        .from('orders')
-        .select('*')
-        .eq('payment_reference', reference)
-        .eq('user_id', req.user.id)
-        .single();
+      const settlement = await settlePayment(order, {
+        reference,
+        amount: paymentData.amount,
+        currency: paymentData.currency
+      });
 
-      if (orderError || !order) {
-        return res.status(404).json({ error: 'Order not found' });
+      if (settlement.status === 'flagged') {
+        return res.status(409).json({
+          success: false,
+          error: `${settlement.reason}. The order has been held for review.`,
+          order_id: order.id,
+          payment_status: 'under_review'
+        });
       }
 
-      // Check if already processed
-      if (order.payment_status === 'success') {
+      if (settlement.status === 'already_settled') {
         return res.json({
           success: true,
           message: 'Payment already verified',
@@ -196,34 +92,13 @@ router.post('/verify', authenticateToken, async (req, res) => {
         });
       }
 
-      // Update order (webhook might have already done this)
-      const { data: updatedOrder, error: updateError } = await supabaseAdmin
-        .from('orders')
-        .update({
-          payment_status: 'success',
-          order_status: 'processing',
-        })
-        .eq('id', order.id)
-        .select()
-        .single();
-
-      if (updateError) {
-        throw updateError;
-      }
-
-      // Clear cart (in case webhook didn't)
-      await supabaseAdmin
-        .from('cart')
-        .delete()
-        .eq('user_id', req.user.id);
-
       console.log('✅ Manual verification successful:', order.id);
 
       return res.json({
         success: true,
         message: 'Payment verified successfully',
-        order_id: updatedOrder.id,
-        order: updatedOrder
+        order_id: settlement.order.id,
+        order: settlement.order
       });
     } else {
       return res.status(400).json({
@@ -261,7 +136,7 @@ router.get('/status/:reference', authenticateToken, async (req, res) => {
     // Get order by payment reference
     const { data: order, error } = await supabaseAdmin
       .from('orders')
-      .select('id, payment_status, order_status, total, created_at')
+      .select('id, payment_status, payment_provider, order_status, total, created_at')
       .eq('payment_reference', reference)
       .eq('user_id', req.user.id)
       .single();
@@ -273,6 +148,7 @@ router.get('/status/:reference', authenticateToken, async (req, res) => {
     res.json({
       order_id: order.id,
       payment_status: order.payment_status,
+      payment_provider: order.payment_provider,
       order_status: order.order_status,
       is_paid: order.payment_status === 'success',
       total: order.total,
@@ -295,7 +171,9 @@ router.get('/webhook/test', (req, res) => {
     note: 'Configure this URL in your Paystack dashboard under Settings > Webhooks',
     events_to_enable: [
       'charge.success',
-      'charge.failed'
+      'charge.failed',
+      'refund.processed',
+      'refund.failed'
     ]
   });
 });
@@ -1,5 +1,6 @@
 ﻿import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
+import { getStateKey, getLgaKey } from '../utils/delivery.js';
 
 dotenv.config();
 
@@ -13,6 +14,43 @@ if (!supabaseUrl || !supabaseServiceKey) {
 
 const supabase = createClient(supabaseUrl, supabaseServiceKey);
 
+// Delivery zone areas and pickup locations used to be keyed by whatever was
+// typed, lowercased ("abuja", "ibadan"). Re-key them by canonical state and
+// LGA ("fct", "ibadan north") so they keep matching. Rows that cannot be
+// mapped are left alone and listed for an admin to fix.
+const migrateLocationKeys = async () => {
+  for (const table of ['delivery_zone_areas', 'pickup_locations']) {
+    const { data: rows, error } = await supabase.from(table).select('id, state, city');
+
+    if (error) {
+      console.log(`Note: could not read ${table} to migrate its locations:`, error.message);
+      continue;
+    }
+
+    for (const row of rows || []) {
+      const state = getStateKey(row.state);
+      const city = row.city ? getLgaKey(row.state, row.city) : null;
+
+      if (!state || (row.city && !city)) {
+        console.warn(`⚠️ ${table} ${row.id}: "${row.city ? `${row.city}, ` : ''}${row.state}" is not a known state/LGA; please update it`);
+        continue;
+      }
+
+      if (state === row.state && city === row.city) {
+        continue;
+      }
+
+      const { error: updateError } = await supabase.from(table).update({ state, city }).eq('id', row.id);
+
+      if (updateError) {
+        console.warn(`⚠️ ${table} ${row.id}: could not re-key to ${city ? `${city}, ` : ''}${state}:`, updateError.message);
+      } else {
+        console.log(`📍 ${table} ${row.id}: ${row.city ? `${row.city}, ` : ''}${row.state} -> ${city ? `${city}, ` : ''}${state}`);
+      }
+    }
+  }
+};
+
 const setupDatabase = async () => {
   try {
     console.log('🚀 Setting up healthcare e-commerce database...');
@@ -52,6 +90,7 @@ const setupDatabase = async () => {
         phone TEXT,
         address JSONB,
         is_admin BOOLEAN DEFAULT FALSE,
+        cart_reminder_sent_at TIMESTAMP,
         created_at TIMESTAMP DEFAULT NOW()
     );
 
@@ -62,6 +101,7 @@ const setupDatabase = async () => {
         product_id UUID REFERENCES products(id) NOT NULL,
         quantity INTEGER DEFAULT 1,
         created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
         UNIQUE(user_id, product_id)
     );
 
@@ -73,12 +113,22 @@ const setupDatabase = async () => {
         subtotal DECIMAL(10,2) NOT NULL,
         delivery_fee DECIMAL(10,2) DEFAULT 0,
         discount_code TEXT,
+        discount_amount DECIMAL(10,2) DEFAULT 0,
         total DECIMAL(10,2) NOT NULL,
         state TEXT NOT NULL,
         city TEXT NOT NULL,
         payment_status TEXT DEFAULT 'pending',
+        payment_method TEXT DEFAULT 'online'
+            CHECK (payment_method IN ('online', 'cod', 'bank_transfer')),
+        payment_provider TEXT DEFAULT 'paystack',
         payment_reference TEXT,
+        payment_initialized_at TIMESTAMP,
+        paid_amount DECIMAL(10,2),
+        paid_currency TEXT,
+        payment_review_reason TEXT,
+        refunded_amount DECIMAL(10,2) DEFAULT 0,
         order_status TEXT DEFAULT 'pending',
+        expires_at TIMESTAMP,
         created_at TIMESTAMP DEFAULT NOW()
     );
 
@@ -86,11 +136,548 @@ const setupDatabase = async () => {
     CREATE TABLE IF NOT EXISTS discounts (
         id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
         code TEXT UNIQUE NOT NULL,
-        percentage DECIMAL(5,2) NOT NULL,
+        discount_type TEXT NOT NULL DEFAULT 'percentage'
+            CHECK (discount_type IN ('percentage', 'fixed', 'free_delivery')),
+        percentage DECIMAL(5,2),
+        amount DECIMAL(10,2),
+        min_subtotal DECIMAL(10,2) DEFAULT 0,
+        max_uses INTEGER,
+        max_uses_per_user INTEGER,
+        times_used INTEGER DEFAULT 0,
+        category_ids UUID[],
+        product_ids UUID[],
+        is_active BOOLEAN DEFAULT TRUE,
         valid_until DATE NOT NULL,
         created_at TIMESTAMP DEFAULT NOW()
     );
 
+    -- Discount redemptions (one row per paid order that used a code)
+    CREATE TABLE IF NOT EXISTS discount_redemptions (
+        id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+        discount_id UUID REFERENCES discounts(id) NOT NULL,
+        order_id UUID REFERENCES orders(id) NOT NULL UNIQUE,
+        user_id UUID REFERENCES users(id) NOT NULL,
+        amount DECIMAL(10,2) DEFAULT 0,
+        created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    -- Stock held for unpaid orders (held -> committed on payment, or released)
+    CREATE TABLE IF NOT EXISTS stock_reservations (
+        id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+        order_id UUID REFERENCES orders(id) ON DELETE CASCADE NOT NULL,
+        product_id UUID REFERENCES products(id) NOT NULL,
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        status TEXT NOT NULL DEFAULT 'held'
+            CHECK (status IN ('held', 'committed', 'released')),
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS stock_reservations_order_idx ON stock_reservations (order_id);
+    CREATE INDEX IF NOT EXISTS stock_reservations_held_idx ON stock_reservations (expires_at) WHERE status = 'held';
+
+    -- Payment provider webhook ledger (one row per distinct event)
+    CREATE TABLE IF NOT EXISTS webhook_events (
+        id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+        provider TEXT NOT NULL,
+        event_key TEXT NOT NULL UNIQUE,
+        event_type TEXT NOT NULL,
+        reference TEXT,
+        payload JSONB NOT NULL,
+        status TEXT NOT NULL DEFAULT 'received'
+            CHECK (status IN ('received', 'processing', 'processed', 'failed')),
+        attempts INTEGER DEFAULT 0,
+        last_error TEXT,
+        result JSONB,
+        processed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS webhook_events_reference_idx ON webhook_events (reference);
+
+    -- Refunds issued against paid orders
+    CREATE TABLE IF NOT EXISTS refunds (
+        id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+        order_id UUID REFERENCES orders(id) NOT NULL,
+        amount DECIMAL(10,2) NOT NULL,
+        reason TEXT,
+        items JSONB DEFAULT '[]',
+        restocked BOOLEAN DEFAULT FALSE,
+        status TEXT NOT NULL DEFAULT 'pending'
+            CHECK (status IN ('pending', 'processed', 'failed')),
+        transaction_reference TEXT,
+        provider_refund_id TEXT,
+        failure_reason TEXT,
+        created_by UUID REFERENCES users(id),
+        processed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS refunds_order_idx ON refunds (order_id);
+
+    -- Customer requests to cancel paid orders, reviewed by an admin
+    CREATE TABLE IF NOT EXISTS cancellation_requests (
+        id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+        order_id UUID REFERENCES orders(id) ON DELETE CASCADE NOT NULL,
+        user_id UUID REFERENCES users(id) NOT NULL,
+        reason TEXT,
+        status TEXT NOT NULL DEFAULT 'pending'
+            CHECK (status IN ('pending', 'approved', 'rejected')),
+        admin_note TEXT,
+        refund_id UUID REFERENCES refunds(id),
+        reviewed_by UUID REFERENCES users(id),
+        reviewed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    -- At most one open request per order
+    CREATE UNIQUE INDEX IF NOT EXISTS cancellation_requests_pending_idx
+        ON cancellation_requests (order_id) WHERE status = 'pending';
+
+    -- Returns of delivered line items (damaged, expired, ...)
+    CREATE TABLE IF NOT EXISTS return_requests (
+        id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+        order_id UUID REFERENCES orders(id) ON DELETE CASCADE NOT NULL,
+        user_id UUID REFERENCES users(id) NOT NULL,
+        product_id UUID REFERENCES products(id) NOT NULL,
+        product_name TEXT,
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        unit_price DECIMAL(10,2) NOT NULL,
+        reason TEXT NOT NULL
+            CHECK (reason IN ('damaged', 'expired', 'wrong_item', 'missing_item', 'other')),
+        details TEXT,
+        photos JSONB DEFAULT '[]',
+        status TEXT NOT NULL DEFAULT 'pending'
+            CHECK (status IN ('pending', 'approved', 'rejected')),
+        restock BOOLEAN DEFAULT FALSE,
+        refund_id UUID REFERENCES refunds(id),
+        admin_note TEXT,
+        reviewed_by UUID REFERENCES users(id),
+        reviewed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    -- One open or approved return per line item
+    CREATE UNIQUE INDEX IF NOT EXISTS return_requests_item_idx
+        ON return_requests (order_id, product_id) WHERE status IN ('pending', 'approved');
+
+    -- Parcels dispatched for an order
+    CREATE TABLE IF NOT EXISTS shipments (
+        id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+        order_id UUID REFERENCES orders(id) ON DELETE CASCADE NOT NULL,
+        carrier TEXT NOT NULL,
+        tracking_number TEXT NOT NULL,
+        tracking_url TEXT,
+        status TEXT NOT NULL DEFAULT 'dispatched'
+            CHECK (status IN ('dispatched', 'in_transit', 'out_for_delivery', 'delivery_failed', 'delivered')),
+        dispatched_at TIMESTAMP DEFAULT NOW(),
+        estimated_delivery TIMESTAMP,
+        delivered_at TIMESTAMP,
+        proof_of_delivery_url TEXT,
+        created_by UUID REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS shipments_order_idx ON shipments (order_id);
+
+    -- Tracking events for a shipment; each one is emailed to the customer
+    CREATE TABLE IF NOT EXISTS shipment_events (
+        id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+        shipment_id UUID REFERENCES shipments(id) ON DELETE CASCADE NOT NULL,
+        order_id UUID REFERENCES orders(id) ON DELETE CASCADE NOT NULL,
+        event_type TEXT NOT NULL
+            CHECK (event_type IN ('dispatched', 'in_transit', 'out_for_delivery', 'delivery_failed', 'delivered')),
+        description TEXT,
+        location TEXT,
+        occurred_at TIMESTAMP DEFAULT NOW(),
+        created_by UUID REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS shipment_events_order_idx ON shipment_events (order_id, occurred_at);
+
+    -- Every order_status change: who made it, when, and why
+    CREATE TABLE IF NOT EXISTS order_status_history (
+        id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+        order_id UUID REFERENCES orders(id) ON DELETE CASCADE NOT NULL,
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        changed_by UUID REFERENCES users(id),
+        note TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS order_status_history_order_idx ON order_status_history (order_id, created_at);
+
+    -- Outcome of each pending-payment reconciliation run
+    CREATE TABLE IF NOT EXISTS reconciliation_runs (
+        id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+        trigger TEXT NOT NULL DEFAULT 'scheduled'
+            CHECK (trigger IN ('scheduled', 'manual')),
+        triggered_by UUID REFERENCES users(id),
+        status TEXT NOT NULL DEFAULT 'running'
+            CHECK (status IN ('running', 'completed', 'failed')),
+        checked INTEGER DEFAULT 0,
+        settled INTEGER DEFAULT 0,
+        flagged INTEGER DEFAULT 0,
+        failed INTEGER DEFAULT 0,
+        expired INTEGER DEFAULT 0,
+        unchanged INTEGER DEFAULT 0,
+        errors INTEGER DEFAULT 0,
+        results JSONB DEFAULT '[]',
+        error TEXT,
+        started_at TIMESTAMP DEFAULT NOW(),
+        finished_at TIMESTAMP
+    );
+
+    -- Outgoing emails, sent by the email worker
+    CREATE TABLE IF NOT EXISTS email_outbox (
+        id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+        to_address TEXT NOT NULL,
+        from_address TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        html TEXT NOT NULL,
+        template TEXT,
+        status TEXT NOT NULL DEFAULT 'queued'
+            CHECK (status IN ('queued', 'sending', 'sent', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 5,
+        next_attempt_at TIMESTAMP DEFAULT NOW(),
+        last_error TEXT,
+        transport TEXT,
+        provider_message_id TEXT,
+        sent_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS email_outbox_due_idx ON email_outbox (next_attempt_at) WHERE status = 'queued';
+    CREATE INDEX IF NOT EXISTS email_outbox_created_idx ON email_outbox (created_at);
+
+    -- One row per delivery attempt of an outbox email
+    CREATE TABLE IF NOT EXISTS email_attempts (
+        id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+        email_id UUID REFERENCES email_outbox(id) ON DELETE CASCADE NOT NULL,
+        attempt INTEGER NOT NULL,
+        status TEXT NOT NULL CHECK (status IN ('sent', 'failed')),
+        transport TEXT,
+        provider_message_id TEXT,
+        error TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS email_attempts_email_idx ON email_attempts (email_id, attempt);
+
+    -- Delivery zones; states and cities not listed in any zone use the default zone
+    CREATE TABLE IF NOT EXISTS delivery_zones (
+        id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+        name TEXT UNIQUE NOT NULL,
+        label TEXT NOT NULL,
+        fee DECIMAL(10,2) NOT NULL CHECK (fee >= 0),
+        is_default BOOLEAN NOT NULL DEFAULT FALSE,
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS delivery_zones_default_idx ON delivery_zones (is_default) WHERE is_default;
+
+    -- States (city NULL) and cities covered by a zone, stored lowercased
+    CREATE TABLE IF NOT EXISTS delivery_zone_areas (
+        id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+        zone_id UUID REFERENCES delivery_zones(id) ON DELETE CASCADE NOT NULL,
+        state TEXT NOT NULL,
+        city TEXT
+    );
+
+    -- A state or city belongs to at most one zone
+    CREATE UNIQUE INDEX IF NOT EXISTS delivery_zone_areas_location_idx
+        ON delivery_zone_areas (state, COALESCE(city, ''));
+
+    -- Stores customers can collect orders from; state and city stored lowercased
+    CREATE TABLE IF NOT EXISTS pickup_locations (
+        id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+        name TEXT NOT NULL,
+        address TEXT NOT NULL,
+        city TEXT NOT NULL,
+        state TEXT NOT NULL,
+        phone TEXT,
+        opening_hours TEXT,
+        ready_in_days INTEGER NOT NULL DEFAULT 1,
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS pickup_locations_state_idx ON pickup_locations (state) WHERE is_active;
+
+    -- Columns added after the initial release
+    ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10,2) DEFAULT 0;
+    ALTER TABLE orders ADD COLUMN IF NOT EXISTS payment_provider TEXT DEFAULT 'paystack';
+    ALTER TABLE orders ADD COLUMN IF NOT EXISTS payment_method TEXT DEFAULT 'online';
+    ALTER TABLE orders ADD COLUMN IF NOT EXISTS payment_initialized_at TIMESTAMP;
+    ALTER TABLE orders ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP;
+    ALTER TABLE cart ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW();
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS cart_reminder_sent_at TIMESTAMP;
+    ALTER TABLE orders ADD COLUMN IF NOT EXISTS paid_amount DECIMAL(10,2);
+    ALTER TABLE orders ADD COLUMN IF NOT EXISTS paid_currency TEXT;
+    ALTER TABLE orders ADD COLUMN IF NOT EXISTS payment_review_reason TEXT;
+    ALTER TABLE orders ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(10,2) DEFAULT 0;
+    ALTER TABLE discounts ADD COLUMN IF NOT EXISTS discount_type TEXT NOT NULL DEFAULT 'percentage';
+    ALTER TABLE discounts ALTER COLUMN percentage DROP NOT NULL;
+    ALTER TABLE discounts ADD COLUMN IF NOT EXISTS amount DECIMAL(10,2);
+    ALTER TABLE discounts ADD COLUMN IF NOT EXISTS min_subtotal DECIMAL(10,2) DEFAULT 0;
+    ALTER TABLE discounts ADD COLUMN IF NOT EXISTS max_uses INTEGER;
+    ALTER TABLE discounts ADD COLUMN IF NOT EXISTS max_uses_per_user INTEGER;
+    ALTER TABLE discounts ADD COLUMN IF NOT EXISTS times_used INTEGER DEFAULT 0;
+    ALTER TABLE discounts ADD COLUMN IF NOT EXISTS category_ids UUID[];
+    ALTER TABLE discounts ADD COLUMN IF NOT EXISTS product_ids UUID[];
+    ALTER TABLE discounts ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT TRUE;
+    ALTER TABLE orders ADD COLUMN IF NOT EXISTS delivery_zone_id UUID REFERENCES delivery_zones(id);
+    ALTER TABLE orders ADD COLUMN IF NOT EXISTS delivery_breakdown JSONB;
+    ALTER TABLE products ADD COLUMN IF NOT EXISTS shipping_weight_kg DECIMAL(8,3) NOT NULL DEFAULT 0.5;
+    ALTER TABLE products ADD COLUMN IF NOT EXISTS shipping_length_cm DECIMAL(6,1);
+    ALTER TABLE products ADD COLUMN IF NOT EXISTS shipping_width_cm DECIMAL(6,1);
+    ALTER TABLE products ADD COLUMN IF NOT EXISTS shipping_height_cm DECIMAL(6,1);
+    ALTER TABLE delivery_zones ADD COLUMN IF NOT EXISTS pricing_type TEXT NOT NULL DEFAULT 'flat'
+        CHECK (pricing_type IN ('flat', 'per_kg', 'per_item'));
+    ALTER TABLE delivery_zones ADD COLUMN IF NOT EXISTS rate DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (rate >= 0);
+    ALTER TABLE delivery_zones ADD COLUMN IF NOT EXISTS included_quantity DECIMAL(10,3) NOT NULL DEFAULT 0;
+    ALTER TABLE delivery_zones ADD COLUMN IF NOT EXISTS free_delivery_threshold DECIMAL(10,2);
+    ALTER TABLE delivery_zones ADD COLUMN IF NOT EXISTS eta_min_days INTEGER NOT NULL DEFAULT 2;
+    ALTER TABLE delivery_zones ADD COLUMN IF NOT EXISTS eta_max_days INTEGER NOT NULL DEFAULT 5;
+    ALTER TABLE delivery_zones ADD COLUMN IF NOT EXISTS express_surcharge DECIMAL(10,2) CHECK (express_surcharge >= 0);
+    ALTER TABLE delivery_zones ADD COLUMN IF NOT EXISTS express_eta_min_days INTEGER NOT NULL DEFAULT 1;
+    ALTER TABLE delivery_zones ADD COLUMN IF NOT EXISTS express_eta_max_days INTEGER NOT NULL DEFAULT 2;
+    ALTER TABLE orders ADD COLUMN IF NOT EXISTS delivery_method TEXT NOT NULL DEFAULT 'standard'
+        CHECK (delivery_method IN ('standard', 'express', 'pickup'));
+    ALTER TABLE orders ADD COLUMN IF NOT EXISTS pickup_location_id UUID REFERENCES pickup_locations(id);
+    ALTER TABLE orders ADD COLUMN IF NOT EXISTS address TEXT;
+    ALTER TABLE orders ADD COLUMN IF NOT EXISTS phone TEXT;
+    ALTER TABLE orders ADD COLUMN IF NOT EXISTS delivery_address JSONB;
+    ALTER TABLE orders ADD COLUMN IF NOT EXISTS delivery_discount DECIMAL(10,2) DEFAULT 0;
+
+    -- Record a redemption once per order and bump the usage counter. The
+    -- discount row is locked, so concurrent payments cannot both take its last
+    -- use. Returns 'redeemed', 'already_redeemed', 'limit_reached' or 'not_found'.
+    DROP FUNCTION IF EXISTS redeem_discount(TEXT, UUID, UUID, DECIMAL);
+    CREATE OR REPLACE FUNCTION redeem_discount(p_code TEXT, p_order_id UUID, p_user_id UUID, p_amount DECIMAL)
+    RETURNS TEXT AS $$
+    DECLARE
+        v_discount discounts%ROWTYPE;
+    BEGIN
+        SELECT * INTO v_discount FROM discounts WHERE code = p_code FOR UPDATE;
+        IF NOT FOUND THEN
+            RETURN 'not_found';
+        END IF;
+
+        IF EXISTS (SELECT 1 FROM discount_redemptions WHERE order_id = p_order_id) THEN
+            RETURN 'already_redeemed';
+        END IF;
+
+        IF v_discount.max_uses IS NOT NULL AND COALESCE(v_discount.times_used, 0) >= v_discount.max_uses THEN
+            RETURN 'limit_reached';
+        END IF;
+
+        INSERT INTO discount_redemptions (discount_id, order_id, user_id, amount)
+        VALUES (v_discount.id, p_order_id, p_user_id, p_amount)
+        ON CONFLICT (order_id) DO NOTHING;
+
+        IF NOT FOUND THEN
+            RETURN 'already_redeemed';
+        END IF;
+
+        UPDATE discounts SET times_used = COALESCE(times_used, 0) + 1 WHERE id = v_discount.id;
+        RETURN 'redeemed';
+    END;
+    $$ LANGUAGE plpgsql;
+
+    -- Take stock for every item of an order in one transaction. The conditional
+    -- UPDATE locks the product row, so concurrent checkouts cannot both win the
+    -- last unit; any shortfall raises and rolls back the whole reservation.
+    CREATE OR REPLACE FUNCTION reserve_stock(p_order_id UUID, p_items JSONB, p_expires_at TIMESTAMP)
+    RETURNS VOID AS $$
+    DECLARE
+        v_item JSONB;
+    BEGIN
+        FOR v_item IN SELECT * FROM jsonb_array_elements(p_items) LOOP
+            UPDATE products
+            SET stock = stock - (v_item->>'quantity')::INTEGER
+            WHERE id = (v_item->>'product_id')::UUID
+              AND stock >= (v_item->>'quantity')::INTEGER;
+
+            IF NOT FOUND THEN
+                RAISE EXCEPTION 'INSUFFICIENT_STOCK:%', v_item->>'product_id';
+            END IF;
+
+            INSERT INTO stock_reservations (order_id, product_id, quantity, expires_at)
+            VALUES (p_order_id, (v_item->>'product_id')::UUID, (v_item->>'quantity')::INTEGER, p_expires_at);
+        END LOOP;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    -- Turn an order's holds into a sale. Holds that were released before the
+    -- payment arrived try to take the stock again; returns how many could not.
+    CREATE OR REPLACE FUNCTION commit_stock_reservation(p_order_id UUID)
+    RETURNS INTEGER AS $$
+    DECLARE
+        v_row RECORD;
+        v_short INTEGER := 0;
+    BEGIN
+        UPDATE stock_reservations
+        SET status = 'committed', updated_at = NOW()
+        WHERE order_id = p_order_id AND status = 'held';
+
+        FOR v_row IN
+            SELECT * FROM stock_reservations
+            WHERE order_id = p_order_id AND status = 'released'
+            FOR UPDATE
+        LOOP
+            UPDATE products SET stock = stock - v_row.quantity
+            WHERE id = v_row.product_id AND stock >= v_row.quantity;
+
+            IF FOUND THEN
+                UPDATE stock_reservations SET status = 'committed', updated_at = NOW() WHERE id = v_row.id;
+            ELSE
+                v_short := v_short + 1;
+            END IF;
+        END LOOP;
+
+        RETURN v_short;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    -- Give held stock back, for one order or (p_order_id NULL) for every expired hold
+    CREATE OR REPLACE FUNCTION release_stock_reservation(p_order_id UUID DEFAULT NULL)
+    RETURNS INTEGER AS $$
+    DECLARE
+        v_count INTEGER;
+    BEGIN
+        WITH released AS (
+            UPDATE stock_reservations
+            SET status = 'released', updated_at = NOW()
+            WHERE status = 'held'
+              AND (
+                (p_order_id IS NOT NULL AND order_id = p_order_id)
+                OR (p_order_id IS NULL AND expires_at < NOW())
+              )
+            RETURNING product_id, quantity
+        ), totals AS (
+            SELECT product_id, SUM(quantity) AS quantity, COUNT(*) AS row_count
+            FROM released
+            GROUP BY product_id
+        ), restocked AS (
+            UPDATE products p
+            SET stock = p.stock + t.quantity
+            FROM totals t
+            WHERE p.id = t.product_id
+            RETURNING t.row_count
+        )
+        SELECT COALESCE(SUM(row_count), 0) INTO v_count FROM restocked;
+
+        RETURN v_count;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    -- Put a processed refund's items back into stock, at most once per refund
+    CREATE OR REPLACE FUNCTION restock_refund(p_refund_id UUID)
+    RETURNS INTEGER AS $$
+    DECLARE
+        v_items JSONB;
+        v_item JSONB;
+        v_count INTEGER := 0;
+    BEGIN
+        UPDATE refunds SET restocked = TRUE
+        WHERE id = p_refund_id AND restocked = FALSE
+        RETURNING items INTO v_items;
+
+        IF v_items IS NULL THEN
+            RETURN 0;
+        END IF;
+
+        FOR v_item IN SELECT * FROM jsonb_array_elements(v_items) LOOP
+            UPDATE products
+            SET stock = stock + (v_item->>'quantity')::INTEGER
+            WHERE id = (v_item->>'product_id')::UUID;
+            v_count := v_count + 1;
+        END LOOP;
+
+        RETURN v_count;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    -- Put stock sold to a cancelled order back. Units its refunds already
+    -- restocked are not returned twice. The reservations return to
+    -- 'released', so a late payment takes the stock again on commit.
+    CREATE OR REPLACE FUNCTION return_committed_stock(p_order_id UUID)
+    RETURNS INTEGER AS $$
+    DECLARE
+        v_row RECORD;
+        v_restocked JSONB;
+        v_already INTEGER;
+        v_return INTEGER;
+        v_count INTEGER := 0;
+    BEGIN
+        SELECT COALESCE(jsonb_object_agg(product_id, quantity), '{}'::JSONB) INTO v_restocked
+        FROM (
+            SELECT item->>'product_id' AS product_id, SUM((item->>'quantity')::INTEGER) AS quantity
+            FROM refunds, jsonb_array_elements(COALESCE(refunds.items, '[]'::JSONB)) AS item
+            WHERE refunds.order_id = p_order_id AND refunds.restocked = TRUE
+            GROUP BY item->>'product_id'
+        ) restocked_items;
+
+        FOR v_row IN
+            UPDATE stock_reservations
+            SET status = 'released', updated_at = NOW()
+            WHERE order_id = p_order_id AND status = 'committed'
+            RETURNING product_id, quantity
+        LOOP
+            v_already := COALESCE((v_restocked->>v_row.product_id::TEXT)::INTEGER, 0);
+            v_return := GREATEST(v_row.quantity - v_already, 0);
+            v_restocked := jsonb_set(v_restocked, ARRAY[v_row.product_id::TEXT], to_jsonb(v_already - (v_row.quantity - v_return)));
+
+            IF v_return > 0 THEN
+                UPDATE products SET stock = stock + v_return WHERE id = v_row.product_id;
+                v_count := v_count + 1;
+            END IF;
+        END LOOP;
+
+        RETURN v_count;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    -- Undo redeem_discount for a cancelled order so the use can be made again
+    CREATE OR REPLACE FUNCTION release_discount(p_order_id UUID)
+    RETURNS BOOLEAN AS $$
+    DECLARE
+        v_discount_id UUID;
+    BEGIN
+        DELETE FROM discount_redemptions WHERE order_id = p_order_id
+        RETURNING discount_id INTO v_discount_id;
+
+        IF v_discount_id IS NULL THEN
+            RETURN FALSE;
+        END IF;
+
+        UPDATE discounts SET times_used = GREATEST(COALESCE(times_used, 0) - 1, 0) WHERE id = v_discount_id;
+        RETURN TRUE;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    -- Replace the areas of a delivery zone in one go
+    CREATE OR REPLACE FUNCTION set_delivery_zone_areas(p_zone_id UUID, p_areas JSONB)
+    RETURNS VOID AS $$
+    BEGIN
+        DELETE FROM delivery_zone_areas WHERE zone_id = p_zone_id;
+
+        INSERT INTO delivery_zone_areas (zone_id, state, city)
+        SELECT p_zone_id, area->>'state', NULLIF(area->>'city', '')
+        FROM jsonb_array_elements(p_areas) AS area;
+    END;
+    $$ LANGUAGE plpgsql;
+
     -- Insert default categories
     INSERT INTO categories (name) VALUES 
     ('Immune Booster'),
@@ -103,12 +690,42 @@ const setupDatabase = async () => {
     ('Body Range')
     ON CONFLICT (name) DO NOTHING;
 
+    -- Insert default delivery zones
+    INSERT INTO delivery_zones (name, label, fee, eta_min_days, eta_max_days, is_default) VALUES
+    ('lagos', 'Lagos Delivery', 10000, 1, 2, FALSE),
+    ('nearby', 'Nearby States Delivery', 23000, 2, 4, FALSE),
+    ('standard', 'Standard Delivery', 27000, 3, 7, NOT EXISTS (SELECT 1 FROM delivery_zones WHERE is_default))
+    ON CONFLICT (name) DO NOTHING;
+
+    INSERT INTO delivery_zone_areas (zone_id, state)
+    SELECT id, 'lagos' FROM delivery_zones WHERE name = 'lagos'
+    ON CONFLICT DO NOTHING;
+
+    INSERT INTO delivery_zone_areas (zone_id, state)
+    SELECT id, unnest(ARRAY['ogun', 'oyo', 'osun', 'ondo', 'ekiti', 'edo']) FROM delivery_zones WHERE name = 'nearby'
+    ON CONFLICT DO NOTHING;
+
     -- Enable Row Level Security
     ALTER TABLE products ENABLE ROW LEVEL SECURITY;
     ALTER TABLE cart ENABLE ROW LEVEL SECURITY;
     ALTER TABLE orders ENABLE ROW LEVEL SECURITY;
     ALTER TABLE users ENABLE ROW LEVEL SECURITY;
     ALTER TABLE discounts ENABLE ROW LEVEL SECURITY;
+    ALTER TABLE discount_redemptions ENABLE ROW LEVEL SECURITY;
+    ALTER TABLE stock_reservations ENABLE ROW LEVEL SECURITY;
+    ALTER TABLE webhook_events ENABLE ROW LEVEL SECURITY;
+    ALTER TABLE refunds ENABLE ROW LEVEL SECURITY;
+    ALTER TABLE reconciliation_runs ENABLE ROW LEVEL SECURITY;
+    ALTER TABLE order_status_history ENABLE ROW LEVEL SECURITY;
+    ALTER TABLE cancellation_requests ENABLE ROW LEVEL SECURITY;
+    ALTER TABLE return_requests ENABLE ROW LEVEL SECURITY;
+    ALTER TABLE shipments ENABLE ROW LEVEL SECURITY;
+    ALTER TABLE shipment_events ENABLE ROW LEVEL SECURITY;
+    ALTER TABLE email_outbox ENABLE ROW LEVEL SECURITY;
+    ALTER TABLE email_attempts ENABLE ROW LEVEL SECURITY;
+    ALTER TABLE delivery_zones ENABLE ROW LEVEL SECURITY;
+    ALTER TABLE delivery_zone_areas ENABLE ROW LEVEL SECURITY;
+    ALTER TABLE pickup_locations ENABLE ROW LEVEL SECURITY;
 
     -- RLS Policies
     -- Products: Readable by all, writable by admins
@@ -162,6 +779,8 @@ const setupDatabase = async () => {
       console.log('Please run the SQL above in your Supabase SQL Editor');
     }
 
+    await migrateLocationKeys();
+
     console.log('✅ Database setup completed!');
     console.log('📋 Next steps:');
     console.log('1. Run the SQL above in Supabase SQL Editor if tables were not created');
@@ -13,7 +13,15 @@ import productRoutes from './routes/products.js';
 import cartRoutes from './routes/cart.js';
 import orderRoutes from './routes/orders.js';
 import adminRoutes from './routes/admin.js';
+import deliveryRoutes from './routes/delivery.js';
 import paystackRoutes from './routes/paystack.js';
+import flutterwaveRoutes from './routes/flutterwave.js';
+import fakePaymentRoutes from './routes/fakePayments.js';
+import { startReservationSweeper } from './utils/inventory.js';
+import { startReconciliationJob } from './utils/reconciliation.js';
+import { startEmailWorker } from './utils/emailOutbox.js';
+import { startAbandonedCartJob } from './utils/abandonedCarts.js';
+import { getPaymentProviderName } from './utils/paymentProviders/index.js';
 
 dotenv.config();
 
@@ -48,9 +56,15 @@ app.use(session({
 app.use(passport.initialize());
 app.use(passport.session());
 
-// IMPORTANT: Paystack webhook route MUST be before express.json()
+// IMPORTANT: Payment webhook routes MUST be before express.json()
 // This is because webhooks need raw body for signature verification
 app.use('/api/paystack', paystackRoutes);
+app.use('/api/flutterwave', flutterwaveRoutes);
+
+// Local fake gateway for development and automated tests
+if (getPaymentProviderName() === 'fake') {
+  app.use('/api/payments/fake', fakePaymentRoutes);
+}
 
 // Regular JSON middleware - AFTER webhook route
 app.use(express.json({ limit: '10mb' }));
@@ -61,6 +75,7 @@ app.use('/api/products', productRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/delivery', deliveryRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -70,6 +85,7 @@ app.get('/api/health', (req, res) => {
     timestamp: new Date().toISOString(),
     endpoints: {
       webhook: `${process.env.BACKEND_URL || 'http://localhost:5000'}/api/paystack/webhook`,
+      flutterwaveWebhook: `${process.env.BACKEND_URL || 'http://localhost:5000'}/api/flutterwave/webhook`,
       verify: '/api/paystack/verify',
       status: '/api/paystack/status/:reference'
     }
@@ -102,6 +118,7 @@ app.listen(PORT, () => {
         
 💳 Payment Endpoints:                                       
       🔔 Webhook: http://localhost:${PORT}/api/paystack/webhook    
+      🔔 Flutterwave: http://localhost:${PORT}/api/flutterwave/webhook
    ✅ Verify: POST /api/paystack/verify                   
 
    📊 Status: GET /api/paystack/status/:reference             
@@ -111,7 +128,14 @@ app.listen(PORT, () => {
   console.log('⚙️  Configuration:');
   console.log(`   - Frontend URL: ${process.env.FRONTEND_URL}`);
   console.log(`   - Environment: ${process.env.NODE_ENV || 'development'}`);
+  console.log(`   - Payment provider: ${getPaymentProviderName()}`);
   console.log(`   - Paystack: ${process.env.PAYSTACK_SECRET_KEY ? '✅ Configured' : '❌ Not configured'}`);
+  console.log(`   - Flutterwave: ${process.env.FLUTTERWAVE_SECRET_KEY ? '✅ Configured' : '❌ Not configured'}`);
   console.log('');
+
+  startReservationSweeper();
+  startReconciliationJob();
+  startEmailWorker();
+  startAbandonedCartJob();
  
 });
\ No newline at end of file
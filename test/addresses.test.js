@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeState, normalizeLga, NIGERIAN_STATES } from '../utils/nigerianLocations.js';
+import { normalizeAddress, normalizePhone, formatAddress } from '../utils/addresses.js';
+import { getStateKey, getLgaKey } from '../utils/delivery.js';
+
+test('states are recognised in any common spelling', () => {
+  assert.equal(NIGERIAN_STATES.length, 37);
+  assert.equal(normalizeState('lagos state'), 'Lagos');
+  assert.equal(normalizeState('  LAGOS  '), 'Lagos');
+  assert.equal(normalizeState('Abuja'), 'FCT');
+  assert.equal(normalizeState('akwa-ibom'), 'Akwa Ibom');
+  assert.equal(normalizeState('Atlantis'), null);
+  assert.equal(normalizeState(''), null);
+  assert.equal(normalizeState(undefined), null);
+});
+
+test('LGAs are matched within their state', () => {
+  assert.equal(normalizeLga('Lagos', 'ikeja'), 'Ikeja');
+  assert.equal(normalizeLga('Rivers', 'port harcourt'), 'Port Harcourt');
+  assert.equal(normalizeLga('Lagos', 'Kano Municipal'), null);
+  assert.equal(normalizeLga('Atlantis', 'Ikeja'), null);
+  assert.equal(normalizeLga('Lagos', '   '), null);
+});
+
+test('main cities and districts resolve to the LGA they are in', () => {
+  assert.equal(normalizeLga('FCT', 'Abuja'), 'Municipal Area Council');
+  assert.equal(normalizeLga('Oyo', 'Ibadan'), 'Ibadan North');
+  assert.equal(normalizeLga('Edo', 'Benin City'), 'Oredo');
+  assert.equal(normalizeLga('Kano', 'Kano'), 'Kano Municipal');
+  assert.equal(normalizeLga('Enugu', 'Enugu'), 'Enugu North');
+  assert.equal(normalizeLga('Kaduna', 'Kaduna'), 'Kaduna North');
+  assert.equal(normalizeLga('Lagos', 'Lekki'), 'Eti-Osa');
+  assert.equal(normalizeLga('Lagos', 'Victoria Island'), 'Eti-Osa');
+});
+
+test('delivery zones and pickup locations key locations by their canonical name', () => {
+  assert.equal(getStateKey('Lagos State'), 'lagos');
+  assert.equal(getStateKey('Abuja'), 'fct');
+  assert.equal(getLgaKey('Oyo', 'Ibadan'), 'ibadan north');
+  assert.equal(getLgaKey('Lagos', 'Victoria Island'), 'eti-osa');
+  assert.equal(getLgaKey('Lagos', 'Nowhere'), null);
+});
+
+test('phone numbers are stored in +234 form', () => {
+  assert.equal(normalizePhone('08031234567'), '+2348031234567');
+  assert.equal(normalizePhone('+234 803 123 4567'), '+2348031234567');
+  assert.equal(normalizePhone('234(803)123-4567'), '+2348031234567');
+  assert.equal(normalizePhone('0803123456'), null);
+  assert.equal(normalizePhone(8031234567), null);
+});
+
+test('a valid address is put in its stored shape', () => {
+  const { address, errors } = normalizeAddress({
+    line1: '  12  Admiralty Way ',
+    landmark: 'Opposite the filling station',
+    lga: 'lekki',
+    state: 'lagos state',
+    phone: '0803 123 4567'
+  });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(address, {
+    line1: '12 Admiralty Way',
+    landmark: 'Opposite the filling station',
+    lga: 'Eti-Osa',
+    state: 'Lagos',
+    phone: '+2348031234567'
+  });
+  assert.equal(formatAddress(address), '12 Admiralty Way, near Opposite the filling station');
+});
+
+test('an invalid address lists every problem', () => {
+  const { errors } = normalizeAddress({ lga: 'Ibadan', state: 'Lagos', phone: '12345' });
+
+  assert.deepEqual(errors, [
+    '"Ibadan" is not a local government area of Lagos',
+    'line1 (street address) is required',
+    '"12345" is not a valid Nigerian phone number'
+  ]);
+});
+
+test('pickup addresses do not need a street line', () => {
+  const { address, errors } = normalizeAddress({ lga: 'Abuja', state: 'Abuja' }, { requireLine1: false });
+
+  assert.deepEqual(errors, []);
+  assert.equal(address.state, 'FCT');
+  assert.equal(address.lga, 'Municipal Area Council');
+});
+
+test('missing state and LGA are reported as required', () => {
+  const { errors } = normalizeAddress({ line1: '1 Main Street' });
+
+  assert.deepEqual(errors, ['state is required', 'lga (city) is required']);
+});
@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { validateDiscountCode, redeemDiscount, releaseDiscount, getOrderDiscountTotal } from '../utils/discounts.js';
+import { settlePayment } from '../utils/paymentSettlement.js';
+import { cancelAndRefund, restoreOrderResources } from '../utils/cancellations.js';
+import { reserveStock, releaseStock, releaseExpiredReservations } from '../utils/inventory.js';
+import { getRow, getRows, updateRow } from './support/fakeSupabase.js';
+import { seedStore, startPayment } from './support/fixtures.js';
+
+const items = [{ product_id: 'p1', price: 5000, quantity: 2 }];
+
+const seedDiscount = (discount) => seedStore({
+  order: { discount_code: discount.code, discount_amount: 1000, total: 10500 },
+  discounts: [{ percentage: 10, discount_type: 'percentage', ...discount }]
+});
+
+const payFor = (order) => settlePayment(order, {
+  reference: order.payment_reference,
+  amount: Math.round(order.total * 100),
+  currency: 'NGN'
+});
+
+test('a valid code is accepted with its type normalised', async () => {
+  seedDiscount({ code: 'WELCOME10' });
+
+  const result = await validateDiscountCode(' welcome10 ', { items });
+
+  assert.equal(result.valid, true);
+  assert.equal(result.discount.code, 'WELCOME10');
+  assert.equal(result.discount.percentage, 10);
+});
+
+test('expired, exhausted and unknown codes are refused', async () => {
+  seedDiscount({ code: 'OLD', valid_until: '2020-01-01' });
+  assert.equal((await validateDiscountCode('OLD', { items })).error, 'Discount code has expired');
+
+  seedDiscount({ code: 'GONE', max_uses: 1, times_used: 1 });
+  assert.equal((await validateDiscountCode('GONE', { items })).error, 'Discount code has reached its usage limit');
+
+  assert.equal((await validateDiscountCode('NOPE', { items })).status, 404);
+});
+
+test('a customer cannot use a code more often than allowed', async () => {
+  const { user, discounts } = seedDiscount({ code: 'ONCE', max_uses_per_user: 1 });
+  await redeemDiscount({ id: crypto.randomUUID(), user_id: user.id, discount_code: 'ONCE' });
+
+  const result = await validateDiscountCode('ONCE', { userId: user.id, items });
+
+  assert.equal(result.error, 'You have already used this discount code');
+  assert.equal(getRow('discounts', discounts[0].id).times_used, 1);
+});
+
+test('a use is counted once when the order is paid', async () => {
+  const { order, discounts } = seedDiscount({ code: 'SAVE10', max_uses: 5 });
+
+  await payFor(order);
+  assert.equal(await redeemDiscount(getRow('orders', order.id)), 'already_redeemed');
+
+  assert.equal(getRow('discounts', discounts[0].id).times_used, 1);
+  assert.deepEqual(getRows('discount_redemptions').map(row => row.amount), [1000]);
+});
+
+test('free-delivery codes record the delivery fee they waived', async () => {
+  const { order } = seedStore({
+    order: { discount_code: 'FREESHIP', discount_amount: 0, delivery_discount: 1500, total: 10000 },
+    discounts: [{ code: 'FREESHIP', discount_type: 'free_delivery' }]
+  });
+
+  assert.equal(getOrderDiscountTotal(order), 1500);
+  await payFor(order);
+
+  assert.equal(getRows('discount_redemptions')[0].amount, 1500);
+});
+
+test('an order paid after its code ran out of uses is held for review', async () => {
+  const { order, discounts } = seedDiscount({ code: 'LAST', max_uses: 1 });
+  updateRow('discounts', discounts[0].id, { times_used: 1 });
+
+  const settlement = await payFor(order);
+
+  assert.equal(settlement.status, 'flagged');
+  assert.equal(settlement.reason, 'Discount code LAST reached its usage limit before this order was paid');
+  assert.equal(getRow('orders', order.id).payment_status, 'under_review');
+  assert.equal(getRows('discount_redemptions').length, 0);
+});
+
+test('releasing a use frees it for another order', async () => {
+  const { order, user, discounts } = seedDiscount({ code: 'LIMITED', max_uses: 1 });
+  await payFor(order);
+
+  const otherOrder = { id: crypto.randomUUID(), user_id: user.id, discount_code: 'LIMITED' };
+  assert.equal(await redeemDiscount(otherOrder), 'limit_reached');
+
+  assert.equal(await releaseDiscount(order), true);
+  assert.equal(await releaseDiscount(order), false);
+  assert.equal(getRow('discounts', discounts[0].id).times_used, 0);
+
+  assert.equal(await redeemDiscount(otherOrder), 'redeemed');
+});
+
+test('stock is reserved for all items or none', async () => {
+  const { order, product } = seedStore({ stock: 3 });
+  const secondProduct = crypto.randomUUID();
+
+  const result = await reserveStock(order.id, [
+    { product_id: product.id, quantity: 2 },
+    { product_id: secondProduct, quantity: 1 }
+  ]);
+
+  assert.deepEqual(result, { reserved: false, productId: secondProduct });
+  assert.equal(getRow('products', product.id).stock, 3);
+  assert.equal(getRows('stock_reservations').length, 0);
+});
+
+test('a second checkout cannot take stock already held', async () => {
+  const { order, product } = seedStore({ stock: 3, quantity: 2 });
+
+  assert.equal((await reserveStock(order.id, order.order_items)).reserved, true);
+  assert.equal((await reserveStock(crypto.randomUUID(), order.order_items)).reserved, false);
+  assert.equal(getRow('products', product.id).stock, 1);
+});
+
+test('released and expired holds give their stock back once', async () => {
+  const { order, product } = seedStore({ stock: 10, quantity: 2 });
+  const otherOrderId = crypto.randomUUID();
+
+  await reserveStock(order.id, order.order_items);
+  await reserveStock(otherOrderId, order.order_items, { expiresAt: new Date(Date.now() - 1000) });
+  assert.equal(getRow('products', product.id).stock, 6);
+
+  assert.equal(await releaseStock(order.id), 1);
+  assert.equal(await releaseStock(order.id), 0);
+  assert.equal(await releaseExpiredReservations(), 1);
+  assert.equal(getRow('products', product.id).stock, 10);
+});
+
+test('cancelling a paid order gives back its discount use and stock', async () => {
+  const { order, product, discounts } = seedDiscount({ code: 'SAVE10' });
+  await reserveStock(order.id, order.order_items);
+  await startPayment(order);
+  const { order: paidOrder } = await payFor(order);
+  assert.equal(getRow('discounts', discounts[0].id).times_used, 1);
+
+  const { order: cancelledOrder } = await cancelAndRefund(paidOrder, { reason: 'Cancelled by store' });
+  await restoreOrderResources(cancelledOrder);
+
+  assert.equal(getRow('products', product.id).stock, 10);
+  assert.equal(getRow('discounts', discounts[0].id).times_used, 0);
+  assert.equal(getRows('discount_redemptions').length, 0);
+});
@@ -0,0 +1,144 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { settlePayment, failPayment } from '../utils/paymentSettlement.js';
+import { reserveStock } from '../utils/inventory.js';
+import { processProviderWebhook } from '../utils/webhookEvents.js';
+import fakeProvider from '../utils/paymentProviders/fake.js';
+import { getRow, getRows, updateRow } from './support/fakeSupabase.js';
+import { seedStore, startPayment, queuedEmails } from './support/fixtures.js';
+
+let store;
+
+const charge = (order, overrides = {}) => ({
+  reference: order.payment_reference,
+  amount: Math.round(order.total * 100),
+  currency: 'NGN',
+  ...overrides
+});
+
+beforeEach(async () => {
+  store = seedStore({ stock: 10, quantity: 2 });
+  await reserveStock(store.order.id, store.order.order_items);
+});
+
+test('a matching charge settles the order and commits its stock hold', async () => {
+  const settlement = await settlePayment(store.order, charge(store.order));
+
+  assert.equal(settlement.status, 'settled');
+  assert.equal(settlement.order.payment_status, 'success');
+  assert.equal(settlement.order.order_status, 'processing');
+  assert.equal(settlement.order.paid_amount, store.order.total);
+  assert.equal(getRow('products', store.product.id).stock, 8);
+  assert.deepEqual(getRows('stock_reservations').map(row => row.status), ['committed']);
+  assert.equal(queuedEmails('payment_received').length, 1);
+});
+
+test('a charge settled twice only settles once', async () => {
+  await settlePayment(store.order, charge(store.order));
+  const second = await settlePayment(store.order, charge(store.order));
+
+  assert.equal(second.status, 'already_settled');
+  assert.equal(second.order.payment_status, 'success');
+  assert.equal(getRow('products', store.product.id).stock, 8);
+  assert.equal(queuedEmails('payment_received').length, 1);
+});
+
+test('an underpayment is held for review with its reason', async () => {
+  const settlement = await settlePayment(store.order, charge(store.order, { amount: 100 }));
+
+  assert.equal(settlement.status, 'flagged');
+  assert.match(settlement.reason, /^Underpayment/);
+
+  const order = getRow('orders', store.order.id);
+  assert.equal(order.payment_status, 'under_review');
+  assert.equal(order.payment_review_reason, settlement.reason);
+  assert.equal(getRows('stock_reservations')[0].status, 'held');
+});
+
+test('a mismatched charge never puts a refunded order back under review', async () => {
+  await settlePayment(store.order, charge(store.order));
+  const refundedOrder = updateRow('orders', store.order.id, { payment_status: 'refunded' });
+
+  const settlement = await settlePayment(refundedOrder, charge(store.order, { currency: 'USD' }));
+
+  assert.equal(settlement.status, 'already_settled');
+  assert.equal(getRow('orders', store.order.id).payment_status, 'refunded');
+});
+
+test('a mismatched charge arriving while the order is being paid does not overwrite it', async () => {
+  updateRow('orders', store.order.id, { payment_status: 'success' });
+
+  const settlement = await settlePayment(store.order, charge(store.order, { amount: 100 }));
+
+  assert.equal(settlement.status, 'already_settled');
+  assert.equal(getRow('orders', store.order.id).payment_status, 'success');
+});
+
+test('an order paid after its stock sold out is held for review', async () => {
+  await failPayment(store.order, { reference: store.order.payment_reference });
+  updateRow('products', store.product.id, { stock: 0 });
+
+  const settlement = await settlePayment(store.order, charge(store.order));
+
+  assert.equal(settlement.status, 'flagged');
+  assert.match(settlement.reason, /1 item\(s\) are out of stock/);
+  assert.equal(getRow('orders', store.order.id).payment_status, 'under_review');
+  assert.equal(getRow('products', store.product.id).stock, 0);
+});
+
+test('a failed charge keeps the order open and gives its stock back', async () => {
+  const result = await failPayment(store.order, { reference: store.order.payment_reference });
+
+  assert.equal(result.status, 'failed');
+  assert.equal(result.order.payment_status, 'failed');
+  assert.equal(result.order.order_status, 'pending');
+  assert.equal(getRow('products', store.product.id).stock, 10);
+  assert.equal(getRows('stock_reservations')[0].status, 'released');
+  assert.equal(queuedEmails('payment_failed').length, 1);
+});
+
+test('a failure reported after the order was paid is ignored', async () => {
+  const { order: paidOrder } = await settlePayment(store.order, charge(store.order));
+  const result = await failPayment(paidOrder, { reference: 'order_late_failure' });
+
+  assert.equal(result.status, 'ignored');
+  assert.equal(getRow('orders', store.order.id).payment_status, 'success');
+  assert.equal(getRow('products', store.product.id).stock, 8);
+});
+
+test('an order whose charge failed can still be paid and takes its stock again', async () => {
+  await failPayment(store.order, { reference: store.order.payment_reference });
+  const failedOrder = getRow('orders', store.order.id);
+
+  const settlement = await settlePayment(failedOrder, charge(failedOrder));
+
+  assert.equal(settlement.status, 'settled');
+  assert.equal(settlement.order.order_status, 'processing');
+  assert.equal(getRow('products', store.product.id).stock, 8);
+  assert.equal(getRows('stock_reservations')[0].status, 'committed');
+});
+
+test('webhooks settle a charge once however often they are delivered', async () => {
+  await startPayment(store.order);
+  const delivery = fakeProvider.simulateWebhook(store.order.payment_reference);
+
+  const first = await processProviderWebhook(fakeProvider, delivery.rawBody, delivery.headers);
+  const second = await processProviderWebhook(fakeProvider, delivery.rawBody, delivery.headers);
+
+  assert.equal(first.message, 'Payment processed successfully');
+  assert.deepEqual(second, { duplicate: true });
+  assert.equal(getRow('orders', store.order.id).payment_status, 'success');
+  assert.equal(getRow('products', store.product.id).stock, 8);
+});
+
+test('a failed charge webhook records the failure without cancelling the order', async () => {
+  await startPayment(store.order);
+  const delivery = fakeProvider.simulateWebhook(store.order.payment_reference, { outcome: 'failed' });
+
+  const result = await processProviderWebhook(fakeProvider, delivery.rawBody, delivery.headers);
+
+  assert.equal(result.message, 'Payment failure recorded');
+  const order = getRow('orders', store.order.id);
+  assert.equal(order.payment_status, 'failed');
+  assert.equal(order.order_status, 'pending');
+});
@@ -0,0 +1,168 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRefund, recordManualRefund } from '../utils/refunds.js';
+import { cancelAndRefund, cancelUnpaidOrder, restoreOrderResources, assertNotUnderReview } from '../utils/cancellations.js';
+import { settlePayment } from '../utils/paymentSettlement.js';
+import { reserveStock } from '../utils/inventory.js';
+import fakeProvider from '../utils/paymentProviders/fake.js';
+import { getRow, getRows, updateRow } from './support/fakeSupabase.js';
+import { seedStore, startPayment, queuedEmails } from './support/fixtures.js';
+
+let store;
+
+// A paid order for three units; seven of the ten in stock are left
+const seedPaidOrder = async (options = {}) => {
+  store = seedStore({ stock: 10, quantity: 3, ...options });
+  await reserveStock(store.order.id, store.order.order_items);
+  await startPayment(store.order);
+
+  const { order } = await settlePayment(store.order, {
+    reference: store.order.payment_reference,
+    amount: Math.round(store.order.total * 100),
+    currency: 'NGN'
+  });
+  return order;
+};
+
+const stock = () => getRow('products', store.product.id).stock;
+
+beforeEach(() => {
+  fakeProvider.reset();
+});
+
+test('a full refund gives the money back and restocks the whole order', async () => {
+  const order = await seedPaidOrder();
+
+  const refund = await createRefund(order, { reason: 'Damaged in transit' });
+
+  assert.equal(refund.status, 'processed');
+  assert.equal(refund.amount, order.total);
+  assert.equal(stock(), 10);
+
+  const refundedOrder = getRow('orders', order.id);
+  assert.equal(refundedOrder.payment_status, 'refunded');
+  assert.equal(refundedOrder.refunded_amount, order.total);
+  assert.equal(queuedEmails('refund').length, 1);
+});
+
+test('a partial refund restocks only the items it lists', async () => {
+  const order = await seedPaidOrder();
+  const productId = store.product.id;
+
+  await createRefund(order, { amount: 5000, items: [{ product_id: productId, quantity: 1 }] });
+
+  assert.equal(stock(), 8);
+  const refundedOrder = getRow('orders', order.id);
+  assert.equal(refundedOrder.payment_status, 'partially_refunded');
+  assert.equal(refundedOrder.refunded_amount, 5000);
+});
+
+test('refunds cannot restock more units than the order has left', async () => {
+  const order = await seedPaidOrder();
+  const productId = store.product.id;
+  await createRefund(order, { amount: 5000, items: [{ product_id: productId, quantity: 2 }] });
+
+  await assert.rejects(
+    createRefund(getRow('orders', order.id), { amount: 5000, items: [{ product_id: productId, quantity: 2 }] }),
+    { status: 400, message: `Invalid restock quantity for product ${productId}` }
+  );
+  assert.equal(stock(), 9);
+});
+
+test('refunds cannot exceed what was paid', async () => {
+  const order = await seedPaidOrder();
+  await createRefund(order, { amount: 10000 });
+
+  await assert.rejects(
+    createRefund(getRow('orders', order.id), { amount: 10000 }),
+    { status: 400 }
+  );
+  assert.equal(getRows('refunds').length, 1);
+});
+
+test('cancelling a paid order refunds it and returns its stock once', async () => {
+  const order = await seedPaidOrder();
+
+  const { order: cancelledOrder, refund } = await cancelAndRefund(order, {
+    note: 'Out of delivery area',
+    reason: 'Cancelled by store'
+  });
+  await restoreOrderResources(cancelledOrder);
+
+  assert.equal(cancelledOrder.order_status, 'cancelled');
+  assert.equal(refund.status, 'processed');
+  assert.equal(getRow('orders', order.id).payment_status, 'refunded');
+  assert.equal(stock(), 10);
+});
+
+test('cancelling after a partial refund does not restock the refunded units twice', async () => {
+  const order = await seedPaidOrder();
+  await createRefund(order, { amount: 5000, items: [{ product_id: store.product.id, quantity: 1 }] });
+
+  const { order: cancelledOrder } = await cancelAndRefund(getRow('orders', order.id), {
+    reason: 'Customer changed their mind'
+  });
+  await restoreOrderResources(cancelledOrder);
+
+  assert.equal(stock(), 10);
+  const refundedOrder = getRow('orders', order.id);
+  assert.equal(refundedOrder.payment_status, 'refunded');
+  assert.equal(refundedOrder.refunded_amount, order.total);
+});
+
+test('a cancellation is undone when its refund cannot be started', async () => {
+  const order = await seedPaidOrder();
+  fakeProvider.reset();
+
+  await assert.rejects(
+    cancelAndRefund(order, { reason: 'Cancelled by store' }),
+    { status: 502 }
+  );
+
+  const restoredOrder = getRow('orders', order.id);
+  assert.equal(restoredOrder.order_status, 'processing');
+  assert.equal(restoredOrder.payment_status, 'success');
+  assert.equal(getRows('refunds')[0].status, 'failed');
+  assert.equal(stock(), 7);
+
+  const lastChange = getRows('order_status_history').at(-1);
+  assert.deepEqual(
+    [lastChange.from_status, lastChange.to_status, lastChange.note],
+    ['cancelled', 'processing', 'Refund failed; cancellation undone']
+  );
+});
+
+test('an order under review has to be refunded before it is cancelled', async () => {
+  const order = await seedPaidOrder();
+  const heldOrder = updateRow('orders', order.id, { payment_status: 'under_review' });
+
+  assert.throws(() => assertNotUnderReview(heldOrder), { status: 409 });
+
+  await createRefund(heldOrder, { reason: 'Payment not accepted' });
+  assert.doesNotThrow(() => assertNotUnderReview(getRow('orders', order.id)));
+});
+
+test('offline orders are refunded by recording a manual refund', async () => {
+  const order = await seedPaidOrder({ order: { payment_method: 'pay_on_delivery' } });
+
+  await assert.rejects(createRefund(order, {}), { status: 400 });
+
+  const refund = await recordManualRefund(order, { reason: 'Returned at the door' });
+
+  assert.equal(refund.status, 'processed');
+  assert.equal(getRow('orders', order.id).payment_status, 'refunded');
+  assert.equal(stock(), 10);
+});
+
+test('cancelling an unpaid order gives its held stock back', async () => {
+  store = seedStore({ stock: 10, quantity: 3 });
+  await reserveStock(store.order.id, store.order.order_items);
+  assert.equal(stock(), 7);
+
+  const cancelledOrder = await cancelUnpaidOrder(store.order, { note: 'Cancelled by customer' });
+
+  assert.equal(cancelledOrder.order_status, 'cancelled');
+  assert.equal(stock(), 10);
+  assert.equal(getRows('stock_reservations')[0].status, 'released');
+  assert.equal(queuedEmails('order_cancelled').length, 1);
+});
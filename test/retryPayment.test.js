@@ -0,0 +1,102 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import orderRoutes from '../routes/orders.js';
+import { reserveStock } from '../utils/inventory.js';
+import { failPayment } from '../utils/paymentSettlement.js';
+import fakeProvider from '../utils/paymentProviders/fake.js';
+import { getRow, updateRow } from './support/fakeSupabase.js';
+import { seedStore, startPayment, authHeader } from './support/fixtures.js';
+
+let server;
+let baseUrl;
+let store;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/orders', orderRoutes);
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(async () => {
+  store = seedStore({ stock: 10, quantity: 2 });
+  await reserveStock(store.order.id, store.order.order_items);
+  await startPayment(store.order);
+});
+
+const retryPayment = async (orderId = store.order.id) => {
+  const response = await fetch(`${baseUrl}/api/orders/${orderId}/retry-payment`, {
+    method: 'POST',
+    headers: {
+      authorization: authHeader(store.user),
+      'content-type': 'application/json'
+    },
+    body: JSON.stringify({ email: store.user.email })
+  });
+
+  return { status: response.status, body: await response.json() };
+};
+
+test('an order whose charge failed can be retried with a new payment', async () => {
+  fakeProvider.simulateWebhook(store.order.payment_reference, { outcome: 'failed' });
+  await failPayment(store.order, { reference: store.order.payment_reference });
+
+  const { status, body } = await retryPayment();
+
+  assert.equal(status, 200);
+  assert.equal(body.payment.provider, 'fake');
+  assert.notEqual(body.payment.reference, store.order.payment_reference);
+  assert.equal(getRow('orders', store.order.id).payment_reference, body.payment.reference);
+  assert.equal(fakeProvider.getTransaction(body.payment.reference).status, 'pending');
+});
+
+test('a retry settles a previous charge that went through instead of charging again', async () => {
+  fakeProvider.simulateWebhook(store.order.payment_reference);
+
+  const { status, body } = await retryPayment();
+
+  assert.equal(status, 400);
+  assert.equal(body.error, 'Order already paid');
+  assert.equal(body.order.payment_status, 'success');
+  assert.equal(getRow('orders', store.order.id).payment_reference, store.order.payment_reference);
+});
+
+test('a cancelled order cannot be retried', async () => {
+  updateRow('orders', store.order.id, { order_status: 'cancelled' });
+
+  const { status, body } = await retryPayment();
+
+  assert.equal(status, 400);
+  assert.match(body.error, /has been cancelled/);
+});
+
+test('an order under review cannot be charged again', async () => {
+  updateRow('orders', store.order.id, { payment_status: 'under_review' });
+
+  const { status, body } = await retryPayment();
+
+  assert.equal(status, 400);
+  assert.equal(body.error, 'Payment cannot be retried for an order that is under_review');
+});
+
+test('an expired order cannot be retried', async () => {
+  updateRow('orders', store.order.id, { expires_at: new Date(Date.now() - 60 * 1000).toISOString() });
+
+  const { status } = await retryPayment();
+
+  assert.equal(status, 410);
+});
+
+test('customers cannot retry someone else\'s order', async () => {
+  updateRow('orders', store.order.id, { user_id: crypto.randomUUID() });
+
+  const { status } = await retryPayment();
+
+  assert.equal(status, 404);
+});
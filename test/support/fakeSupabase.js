@@ -0,0 +1,472 @@
+import crypto from 'crypto';
+
+// In-memory stand-in for config/supabase.js, loaded in its place by
+// test/support/register.js. It understands the parts of the query builder
+// the app uses and mirrors the database functions from scripts/setup-db.js.
+
+const tables = new Map();
+
+const TABLE_DEFAULTS = {
+  products: () => ({ stock: 0, is_active: true }),
+  orders: () => ({ order_status: 'pending', payment_status: 'pending', refunded_amount: 0, delivery_discount: 0 }),
+  refunds: () => ({ status: 'pending', items: [], restocked: false }),
+  stock_reservations: () => ({ status: 'held' }),
+  discounts: () => ({ times_used: 0, is_active: true }),
+  cancellation_requests: () => ({ status: 'pending' })
+};
+
+// Columns with a unique constraint that the app relies on
+const UNIQUE_COLUMNS = {
+  webhook_events: ['event_key'],
+  discount_redemptions: ['order_id']
+};
+
+const getTable = (name) => {
+  if (!tables.has(name)) {
+    tables.set(name, []);
+  }
+  return tables.get(name);
+};
+
+const clone = (value) => structuredClone(value);
+
+const createRow = (table, values) => {
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    created_at: now,
+    updated_at: now,
+    ...(TABLE_DEFAULTS[table]?.() || {}),
+    ...clone(values)
+  };
+};
+
+// Empty every table and insert `rows` ({ table: [row, ...] }). Returns
+// the inserted rows, keyed the same way.
+export function resetDatabase(rows = {}) {
+  tables.clear();
+  const seeded = {};
+  for (const [table, tableRows] of Object.entries(rows)) {
+    seeded[table] = tableRows.map(values => {
+      const row = createRow(table, values);
+      getTable(table).push(row);
+      return clone(row);
+    });
+  }
+  return seeded;
+}
+
+export function getRows(table) {
+  return clone(getTable(table));
+}
+
+export function getRow(table, id) {
+  return getRows(table).find(row => row.id === id) || null;
+}
+
+// Change a row behind the app's back, e.g. to simulate another process
+export function updateRow(table, id, values) {
+  const row = getTable(table).find(entry => entry.id === id);
+  Object.assign(row, clone(values));
+  return clone(row);
+}
+
+const compare = (a, b) => {
+  if (typeof a === 'number' || typeof b === 'number') {
+    return Number(a) - Number(b);
+  }
+  return String(a).localeCompare(String(b));
+};
+
+const OPERATORS = {
+  eq: (value, expected) => value != null && compare(value, expected) === 0,
+  neq: (value, expected) => value != null && compare(value, expected) !== 0,
+  lt: (value, expected) => value != null && compare(value, expected) < 0,
+  lte: (value, expected) => value != null && compare(value, expected) <= 0,
+  gt: (value, expected) => value != null && compare(value, expected) > 0,
+  gte: (value, expected) => value != null && compare(value, expected) >= 0,
+  in: (value, expected) => expected.some(entry => OPERATORS.eq(value, entry)),
+  is: (value, expected) => expected === null ? value == null : value === expected
+};
+
+const parseLiteral = (value) => {
+  if (value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value;
+};
+
+// Split a PostgREST logic string on its top-level commas
+const splitTerms = (text) => {
+  const terms = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '(') depth++;
+    if (text[i] === ')') depth--;
+    if (text[i] === ',' && depth === 0) {
+      terms.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  terms.push(text.slice(start));
+  return terms;
+};
+
+// Turn `a.lte.1,and(b.is.null,c.gt.2)` into a row predicate
+const parseLogic = (text, mode = 'or') => {
+  const predicates = splitTerms(text).map(term => {
+    const group = term.match(/^(and|or)\((.*)\)$/);
+    if (group) {
+      return parseLogic(group[2], group[1]);
+    }
+
+    const [column, operator, ...rest] = term.split('.');
+    const expected = parseLiteral(rest.join('.'));
+    return (row) => OPERATORS[operator](row[column], expected);
+  });
+
+  return mode === 'and'
+    ? (row) => predicates.every(predicate => predicate(row))
+    : (row) => predicates.some(predicate => predicate(row));
+};
+
+const notFoundError = () => ({
+  code: 'PGRST116',
+  message: 'JSON object requested, multiple (or no) rows returned'
+});
+
+class QueryBuilder {
+  constructor(table) {
+    this.table = table;
+    this.action = 'select';
+    this.filters = [];
+    this.sorts = [];
+    this.returning = false;
+    this.countRows = false;
+    this.headOnly = false;
+    this.cardinality = null;
+    this.window = null;
+  }
+
+  select(_columns = '*', { count, head } = {}) {
+    if (this.action === 'select') {
+      this.countRows = count === 'exact';
+      this.headOnly = Boolean(head);
+    } else {
+      this.returning = true;
+    }
+    return this;
+  }
+
+  insert(values) {
+    this.action = 'insert';
+    this.values = Array.isArray(values) ? values : [values];
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  filter(column, operator, expected) {
+    this.filters.push((row) => OPERATORS[operator](row[column], expected));
+    return this;
+  }
+
+  eq(column, expected) { return this.filter(column, 'eq', expected); }
+  neq(column, expected) { return this.filter(column, 'neq', expected); }
+  lt(column, expected) { return this.filter(column, 'lt', expected); }
+  lte(column, expected) { return this.filter(column, 'lte', expected); }
+  gt(column, expected) { return this.filter(column, 'gt', expected); }
+  gte(column, expected) { return this.filter(column, 'gte', expected); }
+  in(column, expected) { return this.filter(column, 'in', expected); }
+  is(column, expected) { return this.filter(column, 'is', expected); }
+
+  match(conditions) {
+    for (const [column, expected] of Object.entries(conditions)) {
+      this.eq(column, expected);
+    }
+    return this;
+  }
+
+  not(column, operator, expected) {
+    this.filters.push((row) => !OPERATORS[operator](row[column], expected));
+    return this;
+  }
+
+  or(logic) {
+    this.filters.push(parseLogic(logic));
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.sorts.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.window = { from: 0, to: count - 1 };
+    return this;
+  }
+
+  range(from, to) {
+    this.window = { from, to };
+    return this;
+  }
+
+  single() {
+    this.cardinality = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.cardinality = 'maybeSingle';
+    return this;
+  }
+
+  matches(row) {
+    return this.filters.every(predicate => predicate(row));
+  }
+
+  run() {
+    const rows = getTable(this.table);
+    let result;
+
+    if (this.action === 'insert') {
+      result = this.values.map(values => createRow(this.table, values));
+
+      const duplicate = (UNIQUE_COLUMNS[this.table] || []).find(column =>
+        result.some(row => rows.some(existing => existing[column] === row[column]))
+      );
+      if (duplicate) {
+        return {
+          data: null,
+          error: { code: '23505', message: `duplicate key value violates unique constraint on ${duplicate}` }
+        };
+      }
+
+      rows.push(...result);
+    } else if (this.action === 'update') {
+      result = rows.filter(row => this.matches(row));
+      for (const row of result) {
+        Object.assign(row, clone(this.values));
+      }
+    } else if (this.action === 'delete') {
+      result = rows.filter(row => this.matches(row));
+      tables.set(this.table, rows.filter(row => !result.includes(row)));
+    } else {
+      result = rows.filter(row => this.matches(row));
+      for (const { column, ascending } of [...this.sorts].reverse()) {
+        result = [...result].sort((a, b) => compare(a[column], b[column]) * (ascending ? 1 : -1));
+      }
+    }
+
+    const count = result.length;
+    if (this.window) {
+      result = result.slice(this.window.from, this.window.to + 1);
+    }
+
+    if (this.action !== 'select' && !this.returning) {
+      return { data: null, error: null };
+    }
+
+    if (this.headOnly) {
+      return { data: null, count, error: null };
+    }
+
+    const data = clone(result);
+
+    if (this.cardinality === 'single') {
+      return data.length === 1 ? { data: data[0], error: null } : { data: null, error: notFoundError() };
+    }
+
+    if (this.cardinality === 'maybeSingle') {
+      return data.length <= 1 ? { data: data[0] || null, error: null } : { data: null, error: notFoundError() };
+    }
+
+    return { data, count: this.countRows ? count : null, error: null };
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.run()).then(resolve, reject);
+  }
+}
+
+const findProduct = (productId) => getTable('products').find(product => product.id === productId);
+
+// Database functions, mirroring scripts/setup-db.js
+const functions = {
+  decrement_stock({ product_id, quantity }) {
+    const product = findProduct(product_id);
+    if (product) {
+      product.stock -= quantity;
+    }
+  },
+
+  reserve_stock({ p_order_id, p_items, p_expires_at }) {
+    for (const item of p_items) {
+      const product = findProduct(item.product_id);
+      if (!product || product.stock < item.quantity) {
+        throw new Error(`INSUFFICIENT_STOCK:${item.product_id}`);
+      }
+    }
+
+    for (const item of p_items) {
+      findProduct(item.product_id).stock -= item.quantity;
+      getTable('stock_reservations').push(createRow('stock_reservations', {
+        order_id: p_order_id,
+        product_id: item.product_id,
+        quantity: item.quantity,
+        expires_at: p_expires_at
+      }));
+    }
+  },
+
+  commit_stock_reservation({ p_order_id }) {
+    let short = 0;
+    for (const reservation of getTable('stock_reservations')) {
+      if (reservation.order_id !== p_order_id) continue;
+
+      if (reservation.status === 'held') {
+        reservation.status = 'committed';
+      } else if (reservation.status === 'released') {
+        const product = findProduct(reservation.product_id);
+        if (product && product.stock >= reservation.quantity) {
+          product.stock -= reservation.quantity;
+          reservation.status = 'committed';
+        } else {
+          short += 1;
+        }
+      }
+    }
+    return short;
+  },
+
+  release_stock_reservation({ p_order_id = null }) {
+    const now = new Date().toISOString();
+    let count = 0;
+    for (const reservation of getTable('stock_reservations')) {
+      const matches = p_order_id
+        ? reservation.order_id === p_order_id
+        : reservation.expires_at < now;
+
+      if (reservation.status === 'held' && matches) {
+        reservation.status = 'released';
+        findProduct(reservation.product_id).stock += reservation.quantity;
+        count += 1;
+      }
+    }
+    return count;
+  },
+
+  restock_refund({ p_refund_id }) {
+    const refund = getTable('refunds').find(row => row.id === p_refund_id && !row.restocked);
+    if (!refund) {
+      return 0;
+    }
+
+    refund.restocked = true;
+    for (const item of refund.items || []) {
+      const product = findProduct(item.product_id);
+      if (product) {
+        product.stock += item.quantity;
+      }
+    }
+    return (refund.items || []).length;
+  },
+
+  return_committed_stock({ p_order_id }) {
+    const restocked = {};
+    for (const refund of getTable('refunds')) {
+      if (refund.order_id !== p_order_id || !refund.restocked) continue;
+      for (const item of refund.items || []) {
+        restocked[item.product_id] = (restocked[item.product_id] || 0) + item.quantity;
+      }
+    }
+
+    let count = 0;
+    for (const reservation of getTable('stock_reservations')) {
+      if (reservation.order_id !== p_order_id || reservation.status !== 'committed') continue;
+
+      reservation.status = 'released';
+      const already = restocked[reservation.product_id] || 0;
+      const toReturn = Math.max(reservation.quantity - already, 0);
+      restocked[reservation.product_id] = already - (reservation.quantity - toReturn);
+
+      if (toReturn > 0) {
+        findProduct(reservation.product_id).stock += toReturn;
+        count += 1;
+      }
+    }
+    return count;
+  },
+
+  redeem_discount({ p_code, p_order_id, p_user_id, p_amount }) {
+    const discount = getTable('discounts').find(row => row.code === p_code);
+    if (!discount) {
+      return 'not_found';
+    }
+
+    const redemptions = getTable('discount_redemptions');
+    if (redemptions.some(row => row.order_id === p_order_id)) {
+      return 'already_redeemed';
+    }
+
+    if (discount.max_uses != null && (discount.times_used || 0) >= discount.max_uses) {
+      return 'limit_reached';
+    }
+
+    redemptions.push(createRow('discount_redemptions', {
+      discount_id: discount.id,
+      order_id: p_order_id,
+      user_id: p_user_id,
+      amount: p_amount
+    }));
+    discount.times_used = (discount.times_used || 0) + 1;
+    return 'redeemed';
+  },
+
+  release_discount({ p_order_id }) {
+    const redemptions = getTable('discount_redemptions');
+    const redemption = redemptions.find(row => row.order_id === p_order_id);
+    if (!redemption) {
+      return false;
+    }
+
+    tables.set('discount_redemptions', redemptions.filter(row => row !== redemption));
+    const discount = getTable('discounts').find(row => row.id === redemption.discount_id);
+    if (discount) {
+      discount.times_used = Math.max((discount.times_used || 0) - 1, 0);
+    }
+    return true;
+  }
+};
+
+const rpc = async (name, params = {}) => {
+  if (!functions[name]) {
+    return { data: null, error: { message: `Could not find the function ${name}` } };
+  }
+
+  try {
+    return { data: functions[name](params) ?? null, error: null };
+  } catch (error) {
+    return { data: null, error: { message: error.message } };
+  }
+};
+
+const client = {
+  from: (table) => new QueryBuilder(table),
+  rpc
+};
+
+export const supabase = client;
+export const supabaseAdmin = client;
+export default client;
@@ -0,0 +1,66 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { resetDatabase, getRows } from './fakeSupabase.js';
+import fakeProvider from '../../utils/paymentProviders/fake.js';
+
+/**
+ * Start from an empty database holding one customer, one product and an
+ * unpaid online order for `quantity` of it. `order` overrides order columns;
+ * `discounts` are extra discounts rows. Resolves to { user, product, order, discounts }.
+ */
+export function seedStore({ stock = 10, quantity = 2, price = 5000, deliveryFee = 1500, order = {}, discounts = [] } = {}) {
+  fakeProvider.reset();
+
+  const userId = crypto.randomUUID();
+  const productId = crypto.randomUUID();
+  const orderId = crypto.randomUUID();
+  const subtotal = price * quantity;
+
+  const seeded = resetDatabase({
+    users: [{ id: userId, email: 'ada@example.com', full_name: 'Ada Obi' }],
+    products: [{ id: productId, name: 'Vitamin C 1000mg', price, stock }],
+    orders: [{
+      id: orderId,
+      user_id: userId,
+      order_items: [{ product_id: productId, product_name: 'Vitamin C 1000mg', quantity, price }],
+      subtotal,
+      delivery_fee: deliveryFee,
+      discount_amount: 0,
+      total: subtotal + deliveryFee,
+      payment_method: 'online',
+      payment_provider: 'fake',
+      payment_reference: `order_${orderId}_1`,
+      payment_status: 'pending',
+      order_status: 'pending',
+      expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      ...order
+    }],
+    discounts
+  });
+
+  return {
+    user: seeded.users[0],
+    product: seeded.products[0],
+    order: seeded.orders[0],
+    discounts: seeded.discounts
+  };
+}
+
+// Open a transaction on the fake gateway for the order's payment reference
+export async function startPayment(order, { email = 'ada@example.com' } = {}) {
+  return fakeProvider.initializeTransaction({
+    email,
+    amount: order.total,
+    reference: order.payment_reference,
+    metadata: { order_id: order.id, user_id: order.user_id }
+  });
+}
+
+export function authHeader(user) {
+  return `Bearer ${jwt.sign({ userId: user.id }, process.env.JWT_SECRET)}`;
+}
+
+// Emails queued in the outbox, optionally only those of one template
+export function queuedEmails(template) {
+  return getRows('email_outbox').filter(email => !template || email.template === template);
+}
@@ -0,0 +1,13 @@
+// Module resolve hook: every import of config/supabase.js gets the in-memory
+// database instead, so tests never need a Supabase project.
+const fakeSupabaseUrl = new URL('./fakeSupabase.js', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  const resolved = await nextResolve(specifier, context);
+
+  if (resolved.url.endsWith('/config/supabase.js')) {
+    return { ...resolved, url: fakeSupabaseUrl };
+  }
+
+  return resolved;
+}
@@ -0,0 +1,11 @@
+import { register } from 'node:module';
+
+// Loaded with --import before any test file: point the app at the in-memory
+// database, the fake payment gateway and the capture email transport.
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.PAYMENT_PROVIDER = 'fake';
+process.env.EMAIL_TRANSPORT = 'capture';
+process.env.FRONTEND_URL = 'http://localhost:3000';
+
+register('./hooks.js', import.meta.url);
@@ -0,0 +1,158 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { sendAbandonedCartEmail } from './emailService.js';
+import { UNPAID_PAYMENT_STATUSES } from './orderExpiry.js';
+
+const DEFAULT_ABANDONED_CART_HOURS = 24;
+const DEFAULT_CHECK_INTERVAL_MINUTES = 60;
+
+export function getAbandonedCartHours() {
+  return parseInt(process.env.ABANDONED_CART_HOURS) || DEFAULT_ABANDONED_CART_HOURS;
+}
+
+// Supabase returns at most 1000 rows per request, and long `.in()` lists
+// overflow the URL
+const PAGE_SIZE = 500;
+const ID_CHUNK_SIZE = 100;
+
+const lastActivity = (item) => new Date(item.updated_at || item.created_at);
+
+const chunk = (values, size) => {
+  const chunks = [];
+  for (let i = 0; i < values.length; i += size) {
+    chunks.push(values.slice(i, i + size));
+  }
+  return chunks;
+};
+
+// Every cart line untouched since `cutoff`, read a page at a time
+const loadStaleCartItems = async (cutoff) => {
+  const items = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data: page, error } = await supabaseAdmin
+      .from('cart')
+      .select(`
+        id,
+        user_id,
+        quantity,
+        created_at,
+        updated_at,
+        products (name, price),
+        users (full_name, email, cart_reminder_sent_at)
+      `)
+      .lt('updated_at', cutoff.toISOString())
+      .order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    items.push(...(page || []));
+
+    if (!page || page.length < PAGE_SIZE) {
+      return items;
+    }
+  }
+};
+
+// Customers who changed their cart since `cutoff` or are still paying for an
+// order (online carts are only cleared once payment settles)
+const findActiveUsers = async (userIds, cutoff) => {
+  const active = new Set();
+
+  for (const ids of chunk(userIds, ID_CHUNK_SIZE)) {
+    const [freshItems, unpaidOrders] = await Promise.all([
+      supabaseAdmin
+        .from('cart')
+        .select('user_id')
+        .in('user_id', ids)
+        .gte('updated_at', cutoff.toISOString()),
+      supabaseAdmin
+        .from('orders')
+        .select('user_id')
+        .in('user_id', ids)
+        .in('payment_status', UNPAID_PAYMENT_STATUSES)
+        .neq('order_status', 'cancelled')
+    ]);
+
+    for (const { data, error } of [freshItems, unpaidOrders]) {
+      if (error) {
+        throw error;
+      }
+      (data || []).forEach(row => active.add(row.user_id));
+    }
+  }
+
+  return active;
+};
+
+/**
+ * Remind customers whose cart has not changed for ABANDONED_CART_HOURS.
+ * Each customer gets one reminder per cart change. Customers with an order
+ * still waiting for payment are skipped, as their cart is only cleared once
+ * it is paid. Resolves to the number of reminders sent.
+ */
+export async function sendAbandonedCartReminders() {
+  const cutoff = new Date(Date.now() - getAbandonedCartHours() * 60 * 60 * 1000);
+  const cartItems = await loadStaleCartItems(cutoff);
+
+  const carts = new Map();
+  for (const item of cartItems) {
+    if (!carts.has(item.user_id)) {
+      carts.set(item.user_id, []);
+    }
+    carts.get(item.user_id).push(item);
+  }
+
+  const activeUsers = await findActiveUsers([...carts.keys()], cutoff);
+
+  let sent = 0;
+
+  for (const [userId, items] of carts) {
+    if (activeUsers.has(userId)) {
+      continue;
+    }
+
+    const user = items[0].users;
+    const latestActivity = new Date(Math.max(...items.map(item => lastActivity(item).getTime())));
+    const remindedAt = user?.cart_reminder_sent_at ? new Date(user.cart_reminder_sent_at) : null;
+
+    if (!user?.email || latestActivity > cutoff || (remindedAt && remindedAt >= latestActivity)) {
+      continue;
+    }
+
+    const result = await sendAbandonedCartEmail(items, user.email, user.full_name || 'Customer');
+    if (!result.success) {
+      continue;
+    }
+
+    await supabaseAdmin
+      .from('users')
+      .update({ cart_reminder_sent_at: new Date().toISOString() })
+      .eq('id', userId);
+
+    sent++;
+  }
+
+  return sent;
+}
+
+export function startAbandonedCartJob() {
+  const intervalMinutes = parseInt(process.env.ABANDONED_CART_CHECK_MINUTES) || DEFAULT_CHECK_INTERVAL_MINUTES;
+
+  const remind = async () => {
+    try {
+      const sent = await sendAbandonedCartReminders();
+      if (sent > 0) {
+        console.log(`🛒 Sent ${sent} abandoned cart reminder(s)`);
+      }
+    } catch (error) {
+      console.error('Abandoned cart reminder error:', error);
+    }
+  };
+
+  const timer = setInterval(remind, intervalMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+}
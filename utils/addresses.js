@@ -0,0 +1,77 @@
+import { normalizeState, normalizeLga } from './nigerianLocations.js';
+
+// Nigerian mobile and landline numbers: 0XXXXXXXXXX or +234XXXXXXXXXX
+const PHONE_PATTERN = /^(?:\+?234|0)([1-9]\d{9})$/;
+
+// "+234" form of a Nigerian phone number, or null when it is not one
+export function normalizePhone(phone) {
+  if (typeof phone !== 'string') {
+    return null;
+  }
+
+  const match = phone.replace(/[\s()-]/g, '').match(PHONE_PATTERN);
+  return match ? `+234${match[1]}` : null;
+}
+
+const clean = (value) => typeof value === 'string' && value.trim()
+  ? value.trim().replace(/\s+/g, ' ')
+  : null;
+
+/**
+ * Validate an address and put it in its stored shape
+ * { line1, landmark, lga, state, phone }, with the state, LGA and phone in
+ * canonical form. Returns { address, errors }; errors is empty when the
+ * address is valid.
+ */
+export function normalizeAddress({ line1, landmark, lga, state, phone } = {}, { requireLine1 = true } = {}) {
+  const errors = [];
+
+  const canonicalState = normalizeState(state);
+  if (!clean(state)) {
+    errors.push('state is required');
+  } else if (!canonicalState) {
+    errors.push(`"${state}" is not a Nigerian state`);
+  }
+
+  const canonicalLga = normalizeLga(canonicalState, lga);
+  if (!clean(lga)) {
+    errors.push('lga (city) is required');
+  } else if (canonicalState && !canonicalLga) {
+    errors.push(`"${lga}" is not a local government area of ${canonicalState}`);
+  }
+
+  const cleanLine1 = clean(line1);
+  if (requireLine1 && !cleanLine1) {
+    errors.push('line1 (street address) is required');
+  } else if (cleanLine1 && cleanLine1.length > 200) {
+    errors.push('line1 must be at most 200 characters');
+  }
+
+  const cleanLandmark = clean(landmark);
+  if (cleanLandmark && cleanLandmark.length > 200) {
+    errors.push('landmark must be at most 200 characters');
+  }
+
+  const normalizedPhone = clean(phone) ? normalizePhone(phone) : null;
+  if (clean(phone) && !normalizedPhone) {
+    errors.push(`"${phone}" is not a valid Nigerian phone number`);
+  }
+
+  return {
+    address: {
+      line1: cleanLine1,
+      landmark: cleanLandmark,
+      lga: canonicalLga,
+      state: canonicalState,
+      phone: normalizedPhone
+    },
+    errors
+  };
+}
+
+// One-line form of a structured address, for emails and the legacy address column
+export function formatAddress(address) {
+  return [address.line1, address.landmark && `near ${address.landmark}`]
+    .filter(Boolean)
+    .join(', ');
+}
@@ -0,0 +1,257 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { createHttpError } from './helpers.js';
+import { releaseStock, returnCommittedStock } from './inventory.js';
+import { releaseDiscount } from './discounts.js';
+import { createRefund } from './refunds.js';
+import { assertTransition, changeOrderStatus, recordStatusChange } from './orderStatus.js';
+import { sendOrderCancelledEmail } from './emailService.js';
+import { notifyCustomer } from './notifications.js';
+
+// Orders whose money has been received; cancelling them needs an admin and a refund
+export const PAID_PAYMENT_STATUSES = ['success', 'partially_refunded', 'under_review'];
+
+// Order statuses past the point where a customer can cancel
+const SHIPPED_ORDER_STATUSES = ['shipped', 'delivered'];
+
+// Give back everything a cancelled order took: held or sold stock and its discount use
+export async function restoreOrderResources(order) {
+  try {
+    await releaseStock(order.id);
+    await returnCommittedStock(order.id);
+  } catch (stockError) {
+    console.error(`⚠️ Failed to restore stock for order ${order.id}:`, stockError);
+  }
+
+  try {
+    await releaseDiscount(order);
+  } catch (discountError) {
+    console.error(`⚠️ Failed to release discount for order ${order.id}:`, discountError);
+  }
+}
+
+export async function notifyOrderCancelled(order, reason = null) {
+  await notifyCustomer(order.user_id, (email, name) =>
+    sendOrderCancelledEmail(order, email, name, { reason })
+  );
+}
+
+// Money for an order under review has been received but not accepted. It
+// has to be refunded (which resolves the review) before the order is cancelled.
+export function assertNotUnderReview(order) {
+  if (order.payment_status === 'under_review') {
+    throw createHttpError('This order\'s payment is under review. Refund the payment before cancelling the order.', 409);
+  }
+}
+
+// Throws if the customer cannot cancel this order at all
+export function assertCustomerCancellable(order) {
+  if (SHIPPED_ORDER_STATUSES.includes(order.order_status)) {
+    throw createHttpError('Orders that have shipped can no longer be cancelled', 400);
+  }
+
+  if (order.order_status === 'cancelled') {
+    throw createHttpError('Order is already cancelled', 400);
+  }
+}
+
+// Cancel an order that has not been paid for
+export async function cancelUnpaidOrder(order, { changedBy = null, note = null } = {}) {
+  const cancelledOrder = await changeOrderStatus(order, 'cancelled', { changedBy, note });
+  await restoreOrderResources(cancelledOrder);
+  await notifyOrderCancelled(cancelledOrder);
+  return cancelledOrder;
+}
+
+// Put an order whose refund could not be started back where it was
+const undoCancellation = async (order, previousStatus, changedBy) => {
+  const { data: restored, error } = await supabaseAdmin
+    .from('orders')
+    .update({ order_status: previousStatus })
+    .eq('id', order.id)
+    .eq('order_status', 'cancelled')
+    .select('id')
+    .maybeSingle();
+
+  if (error || !restored) {
+    console.error(`⚠️ Failed to undo cancellation of order ${order.id}:`, error);
+    return;
+  }
+
+  await recordStatusChange(order.id, {
+    from: 'cancelled',
+    to: previousStatus,
+    changedBy,
+    note: 'Refund failed; cancellation undone'
+  });
+};
+
+/**
+ * Cancel a paid online order and refund it in full. The order is cancelled
+ * first, so losing a race to another status change never leaves a refunded
+ * order open; if the refund cannot be started the cancellation is undone.
+ * Stock and discount are not touched here. Resolves to { order, refund }
+ */
+export async function cancelAndRefund(order, { changedBy = null, note = null, reason }) {
+  const cancelledOrder = await changeOrderStatus(order, 'cancelled', { changedBy, note });
+
+  try {
+    const refund = await createRefund(cancelledOrder, {
+      reason,
+      restock: false,
+      adminId: changedBy
+    });
+    return { order: cancelledOrder, refund };
+  } catch (error) {
+    await undoCancellation(cancelledOrder, order.order_status, changedBy);
+    throw error;
+  }
+}
+
+export async function requestCancellation(order, { userId, reason = null }) {
+  const { data: request, error } = await supabaseAdmin
+    .from('cancellation_requests')
+    .insert([{
+      order_id: order.id,
+      user_id: userId,
+      reason,
+      status: 'pending'
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      throw createHttpError('A cancellation request for this order is already pending', 409);
+    }
+    throw error;
+  }
+
+  return request;
+}
+
+const getPendingRequest = async (requestId) => {
+  const { data: request, error } = await supabaseAdmin
+    .from('cancellation_requests')
+    .select('*')
+    .eq('id', requestId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!request) {
+    throw createHttpError('Cancellation request not found', 404);
+  }
+
+  if (request.status !== 'pending') {
+    throw createHttpError(`Cancellation request is already ${request.status}`, 400);
+  }
+
+  return request;
+};
+
+// Put a claimed request back to pending when nothing was refunded
+const reopenRequest = async (id) => {
+  await supabaseAdmin
+    .from('cancellation_requests')
+    .update({ status: 'pending', reviewed_by: null, reviewed_at: null })
+    .eq('id', id);
+};
+
+const closeRequest = async (request, updates) => {
+  const { data: closed, error } = await supabaseAdmin
+    .from('cancellation_requests')
+    .update({
+      ...updates,
+      reviewed_at: new Date().toISOString()
+    })
+    .eq('id', request.id)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!closed) {
+    throw createHttpError('Cancellation request was already reviewed', 409);
+  }
+
+  return closed;
+};
+
+/**
+ * Approve a cancellation request: cancel the order, refund it in full
+ * through its gateway and put its stock back. Offline payments are cancelled
+ * without a gateway refund and must be paid back manually.
+ * Resolves to { request, order, refund }
+ */
+export async function approveCancellation(requestId, { adminId, note = null }) {
+  const request = await getPendingRequest(requestId);
+
+  const { data: order, error } = await supabaseAdmin
+    .from('orders')
+    .select('*')
+    .eq('id', request.order_id)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  // Check before refunding, so a shipped order is not refunded by mistake
+  assertTransition(order, 'cancelled');
+  assertNotUnderReview(order);
+
+  // Claim the request first so two admins cannot both refund it
+  const claimed = await closeRequest(request, {
+    status: 'approved',
+    admin_note: note,
+    reviewed_by: adminId
+  });
+
+  let refund = null;
+  let cancelledOrder;
+  try {
+    if (order.payment_method === 'online' && PAID_PAYMENT_STATUSES.includes(order.payment_status)) {
+      // Stock is returned below with the rest of the order's resources
+      ({ order: cancelledOrder, refund } = await cancelAndRefund(order, {
+        changedBy: adminId,
+        note: note || 'Cancellation request approved',
+        reason: request.reason || 'Cancellation requested by customer'
+      }));
+    } else {
+      cancelledOrder = await changeOrderStatus(order, 'cancelled', {
+        changedBy: adminId,
+        note: note || 'Cancellation request approved'
+      });
+    }
+  } catch (error) {
+    await reopenRequest(claimed.id);
+    throw error;
+  }
+
+  await restoreOrderResources(cancelledOrder);
+  await notifyOrderCancelled(cancelledOrder, 'Cancelled at your request');
+
+  const { data: approved } = await supabaseAdmin
+    .from('cancellation_requests')
+    .update({ refund_id: refund?.id || null })
+    .eq('id', claimed.id)
+    .select()
+    .single();
+
+  return { request: approved || claimed, order: cancelledOrder, refund };
+}
+
+export async function rejectCancellation(requestId, { adminId, note = null }) {
+  const request = await getPendingRequest(requestId);
+
+  return closeRequest(request, {
+    status: 'rejected',
+    admin_note: note,
+    reviewed_by: adminId
+  });
+}
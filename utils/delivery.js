@@ -1,69 +1,178 @@
-﻿export function calculateDeliveryFee(state) {
-  if (!state) return 9000; // Default fee if no state provided
-  
-  const normalizedState = state.toLowerCase().trim();
-  
-  // Lagos delivery fee
-  if (normalizedState === 'lagos') {
-    return 10000;
+﻿import { NIGERIAN_STATES, normalizeState, normalizeLga } from './nigerianLocations.js';
+
+// Subtotal of the items a discount may be applied to. Discounts without
+// category or product restrictions apply to the whole cart.
+export function getDiscountableSubtotal(items, discount) {
+  const categoryIds = discount?.category_ids || [];
+  const productIds = discount?.product_ids || [];
+  const restricted = categoryIds.length > 0 || productIds.length > 0;
+
+  return items.reduce((total, item) => {
+    const eligible = !restricted ||
+      productIds.includes(item.product_id) ||
+      categoryIds.includes(item.category_id);
+
+    return eligible ? total + (item.price * item.quantity) : total;
+  }, 0);
+}
+
+// Couriers bill bulky parcels by size: length × width × height (cm) / 5000
+const VOLUMETRIC_DIVISOR = 5000;
+
+// standard and express are delivered to the address; pickup is collected from a store
+export const DELIVERY_METHODS = ['standard', 'express', 'pickup'];
+
+export const PRODUCT_SHIPPING_COLUMNS = 'shipping_weight_kg, shipping_length_cm, shipping_width_cm, shipping_height_cm';
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Billable weight of one unit of a product: its weight or, for bulky items, its volumetric weight
+export function getShippingWeight(product) {
+  const weight = parseFloat(product.shipping_weight_kg) || 0;
+  const dimensions = [product.shipping_length_cm, product.shipping_width_cm, product.shipping_height_cm].map(parseFloat);
+
+  if (dimensions.every(dimension => dimension > 0)) {
+    const volumetric = dimensions.reduce((volume, dimension) => volume * dimension, 1) / VOLUMETRIC_DIVISOR;
+    return Math.max(weight, volumetric);
   }
-  
-  // Nearby states (cheaper delivery) - 5000
-  const nearbyStates = ['ogun', 'oyo', 'osun', 'ondo', 'ekiti', 'edo'];
-  if (nearbyStates.includes(normalizedState)) {
-    return 23000;
+
+  return weight;
+}
+
+/**
+ * Delivery fee for these items in a zone: the zone's base fee covers
+ * `included_quantity` kg (per_kg zones) or items (per_item zones), and each
+ * started kg or item beyond that adds `rate`. Flat zones charge the base fee
+ * only. Delivery is free once the subtotal reaches the zone's
+ * free_delivery_threshold. Express adds the zone's express_surcharge on top
+ * (it is not waived by the threshold) and store pickup is free.
+ * Returns { fee, breakdown }
+ */
+export function calculateDeliveryFee(items, deliveryZone, subtotal, { method = 'standard', pickupLocation = null } = {}) {
+  if (method === 'pickup') {
+    return {
+      fee: 0,
+      breakdown: {
+        method,
+        label: `Store Pickup - ${pickupLocation.name}`,
+        pickup_location_id: pickupLocation.id,
+        fee: 0
+      }
+    };
   }
-  
-  // Far states (more expensive delivery) - 6000
-  return 27000;
+
+  const pricingType = deliveryZone.pricing_type || 'flat';
+  const baseFee = parseFloat(deliveryZone.fee) || 0;
+  const rate = parseFloat(deliveryZone.rate) || 0;
+  const included = parseFloat(deliveryZone.included_quantity) || 0;
+  const threshold = deliveryZone.free_delivery_threshold != null
+    ? parseFloat(deliveryZone.free_delivery_threshold)
+    : null;
+
+  const weight = Math.round(items.reduce((total, item) => total + (item.shipping_weight_kg || 0) * item.quantity, 0) * 1000) / 1000;
+  const itemCount = items.reduce((total, item) => total + item.quantity, 0);
+
+  let extraUnits = 0;
+  if (pricingType === 'per_kg') {
+    extraUnits = Math.max(Math.ceil(weight - included), 0);
+  } else if (pricingType === 'per_item') {
+    extraUnits = Math.max(itemCount - included, 0);
+  }
+
+  const extraFee = roundMoney(extraUnits * rate);
+  const freeDelivery = threshold != null && subtotal >= threshold;
+  const expressSurcharge = method === 'express' ? parseFloat(deliveryZone.express_surcharge) || 0 : 0;
+  const fee = roundMoney((freeDelivery ? 0 : baseFee + extraFee) + expressSurcharge);
+
+  return {
+    fee,
+    breakdown: {
+      method,
+      zone: deliveryZone.name,
+      label: method === 'express' ? `${deliveryZone.label} (Express)` : deliveryZone.label,
+      pricing_type: pricingType,
+      base_fee: baseFee,
+      weight_kg: weight,
+      item_count: itemCount,
+      included_quantity: included,
+      extra_units: extraUnits,
+      rate,
+      extra_fee: extraFee,
+      free_delivery_threshold: threshold,
+      free_delivery_applied: freeDelivery,
+      ...(method === 'express' && { express_surcharge: expressSurcharge }),
+      fee
+    }
+  };
 }
 
-export function calculateOrderTotals(items, state, discount = null) {
+// deliveryZone is the zone found for the delivery address (see utils/deliveryZones.js);
+// items carry the billable shipping_weight_kg of one unit. `delivery` is the
+// chosen { method, pickupLocation }
+export function calculateOrderTotals(items, deliveryZone, discount = null, delivery = {}) {
   const subtotal = items.reduce((total, item) => {
     return total + (item.price * item.quantity);
   }, 0);
 
-  const deliveryFee = calculateDeliveryFee(state);
-  
+  const { fee, breakdown } = calculateDeliveryFee(items, deliveryZone, subtotal, delivery);
+  let deliveryFee = fee;
+  let deliveryDiscount = 0;
   let discountAmount = 0;
-  if (discount && discount.percentage) {
-    discountAmount = (subtotal * discount.percentage) / 100;
+
+  if (discount) {
+    const discountableSubtotal = getDiscountableSubtotal(items, discount);
+    const type = discount.discount_type || 'percentage';
+
+    if (type === 'percentage' && discount.percentage) {
+      discountAmount = (discountableSubtotal * discount.percentage) / 100;
+    } else if (type === 'fixed' && discount.amount) {
+      discountAmount = Math.min(parseFloat(discount.amount), discountableSubtotal);
+    } else if (type === 'free_delivery') {
+      deliveryDiscount = deliveryFee;
+      deliveryFee = 0;
+    }
   }
 
   const total = subtotal + deliveryFee - discountAmount;
 
   return {
-    subtotal: Math.round(subtotal * 100) / 100,
+    subtotal: roundMoney(subtotal),
     deliveryFee,
-    discountAmount: Math.round(discountAmount * 100) / 100,
-    total: Math.round(total * 100) / 100
+    deliveryLabel: getDeliveryFeeLabel(breakdown.label, fee),
+    deliveryBreakdown: breakdown,
+    deliveryDiscount,
+    discountAmount: roundMoney(discountAmount),
+    total: roundMoney(total)
   };
 }
 
+// States and cities are stored lowercased with single spaces
+export function normalizeLocation(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase().replace(/\s+/g, ' ') : '';
+}
+
+// Keys delivery zones and pickup locations store a state or LGA under: the
+// canonical name lowercased ("Abuja" -> "fct"). null when the name is unknown.
+export function getStateKey(state) {
+  const canonical = normalizeState(state);
+  return canonical ? normalizeLocation(canonical) : null;
+}
+
+export function getLgaKey(state, lga) {
+  const canonical = normalizeLga(state, lga);
+  return canonical ? normalizeLocation(canonical) : null;
+}
+
+export { NIGERIAN_STATES };
+
+// Accepts any spelling normalizeState understands ("Abuja", "akwa-ibom", "Lagos State")
 export function validateNigerianState(state) {
-  const nigerianStates = [
-    'abia', 'adamawa', 'akwa ibom', 'anambra', 'bauchi', 'bayelsa', 
-    'benue', 'borno', 'cross river', 'delta', 'ebonyi', 'edo', 
-    'ekiti', 'enugu', 'gombe', 'imo', 'jigawa', 'kaduna', 
-    'kano', 'katsina', 'kebbi', 'kogi', 'kwara', 'lagos', 
-    'nasarawa', 'niger', 'ogun', 'ondo', 'osun', 'oyo', 
-    'plateau', 'rivers', 'sokoto', 'taraba', 'yobe', 'zamfara',
-    'fct', 'abuja'
-  ];
-  
-  return nigerianStates.includes(state.toLowerCase());
+  return normalizeState(state) !== null;
 }
 
 // Helper function to get delivery fee label
-export function getDeliveryFeeLabel(state) {
-  const fee = calculateDeliveryFee(state);
-  const normalizedState = state?.toLowerCase().trim();
-  
-  if (normalizedState === 'lagos') {
-    return `Lagos Delivery - ₦${fee.toLocaleString('en-NG')}`;
-  } else if (['ogun', 'oyo', 'osun', 'ondo', 'ekiti', 'edo'].includes(normalizedState)) {
-    return `Nearby States Delivery - ₦${fee.toLocaleString('en-NG')}`;
-  } else {
-    return `Standard Delivery - ₦${fee.toLocaleString('en-NG')}`;
-  }
-}
\ No newline at end of file
+export function getDeliveryFeeLabel(label, fee) {
+  return fee > 0
+    ? `${label} - ₦${fee.toLocaleString('en-NG')}`
+    : `${label} - Free`;
+}
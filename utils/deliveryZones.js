@@ -0,0 +1,373 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { createHttpError } from './helpers.js';
+import {
+  normalizeLocation,
+  getStateKey,
+  getLgaKey,
+  calculateDeliveryFee,
+  getDeliveryFeeLabel,
+  getShippingWeight,
+  DELIVERY_METHODS,
+  PRODUCT_SHIPPING_COLUMNS
+} from './delivery.js';
+import { listPickupLocations, getPickupLocation } from './pickupLocations.js';
+import { normalizeState, normalizeLga } from './nigerianLocations.js';
+
+const ZONE_COLUMNS = 'id, name, label, fee, pricing_type, rate, included_quantity, free_delivery_threshold, eta_min_days, eta_max_days, express_surcharge, express_eta_min_days, express_eta_max_days, is_default, is_active';
+
+const toZone = (zone) => zone && {
+  ...zone,
+  fee: parseFloat(zone.fee),
+  rate: parseFloat(zone.rate) || 0,
+  included_quantity: parseFloat(zone.included_quantity) || 0,
+  free_delivery_threshold: zone.free_delivery_threshold != null ? parseFloat(zone.free_delivery_threshold) : null,
+  express_surcharge: zone.express_surcharge != null ? parseFloat(zone.express_surcharge) : null
+};
+
+/**
+ * Zone that delivers to this state and city: a zone listing the city wins
+ * over one listing the whole state, and unlisted states fall back to the
+ * default zone. Throws a 400 when nothing delivers there.
+ */
+export async function findDeliveryZone(state, city = null) {
+  const normalizedState = getStateKey(state) || normalizeLocation(state);
+  const normalizedCity = getLgaKey(state, city) || normalizeLocation(city);
+
+  const { data: areas, error } = await supabaseAdmin
+    .from('delivery_zone_areas')
+    .select(`city, delivery_zones!inner (${ZONE_COLUMNS})`)
+    .eq('state', normalizedState)
+    .eq('delivery_zones.is_active', true);
+
+  if (error) {
+    throw error;
+  }
+
+  const match = (areas || []).find(area => normalizedCity && area.city === normalizedCity) ||
+    (areas || []).find(area => !area.city);
+
+  if (match) {
+    return toZone(match.delivery_zones);
+  }
+
+  const { data: defaultZone, error: defaultError } = await supabaseAdmin
+    .from('delivery_zones')
+    .select(ZONE_COLUMNS)
+    .eq('is_default', true)
+    .eq('is_active', true)
+    .maybeSingle();
+
+  if (defaultError) {
+    throw defaultError;
+  }
+
+  if (!defaultZone) {
+    throw createHttpError('Delivery is not available to this location', 400);
+  }
+
+  return toZone(defaultZone);
+}
+
+export async function listDeliveryZones({ includeInactive = false } = {}) {
+  let query = supabaseAdmin
+    .from('delivery_zones')
+    .select(`${ZONE_COLUMNS}, created_at, updated_at, delivery_zone_areas (state, city)`)
+    .order('fee', { ascending: true });
+
+  if (!includeInactive) {
+    query = query.eq('is_active', true);
+  }
+
+  const { data: zones, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  return (zones || []).map(({ delivery_zone_areas, ...zone }) => ({
+    ...toZone(zone),
+    areas: delivery_zone_areas || []
+  }));
+}
+
+export async function getDeliveryZone(id) {
+  const { data: zone, error } = await supabaseAdmin
+    .from('delivery_zones')
+    .select(`${ZONE_COLUMNS}, created_at, updated_at, delivery_zone_areas (state, city)`)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!zone) {
+    throw createHttpError('Delivery zone not found', 404);
+  }
+
+  const { delivery_zone_areas, ...rest } = zone;
+  return { ...toZone(rest), areas: delivery_zone_areas || [] };
+}
+
+const assertEtaWindow = ({ eta_min_days, eta_max_days, express_eta_min_days, express_eta_max_days }) => {
+  if (eta_min_days != null && eta_max_days != null && eta_min_days > eta_max_days) {
+    throw createHttpError('eta_min_days cannot be more than eta_max_days', 400);
+  }
+
+  if (express_eta_min_days != null && express_eta_max_days != null && express_eta_min_days > express_eta_max_days) {
+    throw createHttpError('express_eta_min_days cannot be more than express_eta_max_days', 400);
+  }
+};
+
+// Areas name a state and optionally one of its LGAs
+const normalizeAreas = (areas) => areas.map(area => {
+  const state = getStateKey(area.state);
+  if (!state) {
+    throw createHttpError(`Invalid Nigerian state: ${area.state}`, 400);
+  }
+
+  const city = area.city ? getLgaKey(area.state, area.city) : null;
+  if (area.city && !city) {
+    throw createHttpError(`"${area.city}" is not a local government area of ${area.state}`, 400);
+  }
+
+  return { state, city };
+});
+
+// Replace a zone's areas in one transaction; an area already in another zone is a 409
+const setZoneAreas = async (zoneId, areas) => {
+  const { error } = await supabaseAdmin.rpc('set_delivery_zone_areas', {
+    p_zone_id: zoneId,
+    p_areas: areas
+  });
+
+  if (error) {
+    if (error.code === '23505') {
+      throw createHttpError('An area in this list already belongs to another delivery zone', 409);
+    }
+    throw error;
+  }
+};
+
+// Only one zone is the default; making a zone the default clears the old one
+const makeDefaultZone = async (id) => {
+  const { error: clearError } = await supabaseAdmin
+    .from('delivery_zones')
+    .update({ is_default: false, updated_at: new Date().toISOString() })
+    .eq('is_default', true)
+    .neq('id', id);
+
+  if (clearError) {
+    throw clearError;
+  }
+
+  const { error } = await supabaseAdmin
+    .from('delivery_zones')
+    .update({ is_default: true, updated_at: new Date().toISOString() })
+    .eq('id', id);
+
+  if (error) {
+    throw error;
+  }
+};
+
+export async function createDeliveryZone({ areas = [], is_default = false, ...fields }) {
+  if (is_default && fields.is_active === false) {
+    throw createHttpError('The default delivery zone must be active', 400);
+  }
+
+  assertEtaWindow(fields);
+  const normalizedAreas = normalizeAreas(areas);
+
+  const { data: zone, error } = await supabaseAdmin
+    .from('delivery_zones')
+    .insert([{ ...fields, is_default: false }])
+    .select('id')
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      throw createHttpError('A delivery zone with this name already exists', 409);
+    }
+    throw error;
+  }
+
+  try {
+    await setZoneAreas(zone.id, normalizedAreas);
+  } catch (areasError) {
+    await supabaseAdmin.from('delivery_zones').delete().eq('id', zone.id);
+    throw areasError;
+  }
+
+  if (is_default) {
+    await makeDefaultZone(zone.id);
+  }
+
+  return getDeliveryZone(zone.id);
+}
+
+/**
+ * Update a zone. When `areas` is given it replaces the zone's current areas.
+ * The default zone catches every unlisted state, so it cannot be deactivated
+ * or unset; make another zone the default instead.
+ */
+export async function updateDeliveryZone(id, { areas, is_default, ...fields }) {
+  const existing = await getDeliveryZone(id);
+
+  if (existing.is_default && (is_default === false || fields.is_active === false)) {
+    throw createHttpError('The default delivery zone cannot be unset or deactivated; make another zone the default first', 400);
+  }
+
+  if (is_default && (fields.is_active ?? existing.is_active) === false) {
+    throw createHttpError('The default delivery zone must be active', 400);
+  }
+
+  assertEtaWindow({ ...existing, ...fields });
+  const normalizedAreas = areas && normalizeAreas(areas);
+
+  if (Object.keys(fields).length > 0) {
+    const { error } = await supabaseAdmin
+      .from('delivery_zones')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', id);
+
+    if (error) {
+      if (error.code === '23505') {
+        throw createHttpError('A delivery zone with this name already exists', 409);
+      }
+      throw error;
+    }
+  }
+
+  if (normalizedAreas) {
+    await setZoneAreas(id, normalizedAreas);
+  }
+
+  if (is_default && !existing.is_default) {
+    await makeDefaultZone(id);
+  }
+
+  return getDeliveryZone(id);
+}
+
+// Items priced the way checkout prices them, from [{ product_id, quantity }]
+const loadQuoteItems = async (lines) => {
+  const { data: products, error } = await supabaseAdmin
+    .from('products')
+    .select(`id, price, ${PRODUCT_SHIPPING_COLUMNS}`)
+    .in('id', lines.map(line => line.product_id));
+
+  if (error) {
+    throw error;
+  }
+
+  return lines.map(line => {
+    const product = (products || []).find(p => p.id === line.product_id);
+
+    if (!product) {
+      throw createHttpError(`Product ${line.product_id} not found`, 400);
+    }
+
+    return {
+      product_id: product.id,
+      quantity: line.quantity,
+      price: product.price,
+      shipping_weight_kg: getShippingWeight(product)
+    };
+  });
+};
+
+const getEta = (deliveryZone, method, pickupLocation) => {
+  if (method === 'pickup') {
+    return { min_days: pickupLocation.ready_in_days, max_days: pickupLocation.ready_in_days };
+  }
+
+  if (method === 'express') {
+    return { min_days: deliveryZone.express_eta_min_days, max_days: deliveryZone.express_eta_max_days };
+  }
+
+  return { min_days: deliveryZone.eta_min_days, max_days: deliveryZone.eta_max_days };
+};
+
+const expressAvailable = (deliveryZone) => deliveryZone.express_surcharge != null;
+
+/**
+ * Check the delivery method chosen for an address. Express needs a zone with
+ * an express surcharge; pickup needs an active pickup location in the same
+ * state. Resolves to { deliveryZone, method, pickupLocation }
+ */
+export async function resolveDelivery({ state, city = null, method = 'standard', pickupLocationId = null }) {
+  if (!DELIVERY_METHODS.includes(method)) {
+    throw createHttpError('Invalid delivery method', 400);
+  }
+
+  const deliveryZone = await findDeliveryZone(state, city);
+
+  if (method === 'express' && !expressAvailable(deliveryZone)) {
+    throw createHttpError('Express delivery is not available for this location', 400);
+  }
+
+  let pickupLocation = null;
+  if (method === 'pickup') {
+    if (!pickupLocationId) {
+      throw createHttpError('pickup_location_id is required for store pickup', 400);
+    }
+
+    pickupLocation = await getPickupLocation(pickupLocationId).catch(error => {
+      throw error.status === 404 ? createHttpError('Pickup location not found', 400) : error;
+    });
+
+    if (!pickupLocation.is_active || pickupLocation.state !== getStateKey(state)) {
+      throw createHttpError('This pickup location is not available for your state', 400);
+    }
+  }
+
+  return { deliveryZone, method, pickupLocation };
+}
+
+/**
+ * Delivery fee, label and ETA window for an address, plus every delivery
+ * method available there. Without items fees are the zone's base rate.
+ * Resolves to
+ * { state, city, zone, label, fee, eta: { min_days, max_days }, breakdown, options }
+ */
+export async function getDeliveryQuote({ state, city = null, items = [] }) {
+  const deliveryZone = await findDeliveryZone(state, city);
+  const quoteItems = items.length > 0 ? await loadQuoteItems(items) : [];
+  const subtotal = quoteItems.reduce((total, item) => total + item.price * item.quantity, 0);
+  const pickupLocations = await listPickupLocations({ state });
+
+  const price = (method, pickupLocation = null) => {
+    const { fee, breakdown } = calculateDeliveryFee(quoteItems, deliveryZone, subtotal, { method, pickupLocation });
+    return { fee, label: getDeliveryFeeLabel(breakdown.label, fee), eta: getEta(deliveryZone, method, pickupLocation), breakdown };
+  };
+
+  const standard = price('standard');
+
+  const options = [
+    { method: 'standard', ...standard },
+    ...(expressAvailable(deliveryZone) ? [{ method: 'express', ...price('express') }] : []),
+    ...(pickupLocations.length > 0
+      ? [{
+          method: 'pickup',
+          fee: 0,
+          label: 'Store Pickup - Free',
+          pickup_locations: pickupLocations.map(location => ({
+            ...location,
+            eta: getEta(deliveryZone, 'pickup', location)
+          }))
+        }]
+      : [])
+  ];
+
+  return {
+    state: normalizeState(state),
+    city: normalizeLga(state, city),
+    zone: deliveryZone.name,
+    label: standard.label,
+    fee: standard.fee,
+    eta: standard.eta,
+    breakdown: standard.breakdown,
+    options
+  };
+}
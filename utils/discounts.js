@@ -0,0 +1,195 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { getDiscountableSubtotal } from './delivery.js';
+
+export const DISCOUNT_TYPES = ['percentage', 'fixed', 'free_delivery'];
+
+export function normalizeDiscountCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+// Look up a discount code and check that it can be used on this cart.
+// Resolves to { valid: true, discount } or { valid: false, status, error }
+export async function validateDiscountCode(code, { userId, items = [] } = {}) {
+  const normalizedCode = normalizeDiscountCode(code);
+
+  if (!normalizedCode) {
+    return { valid: false, status: 400, error: 'Discount code is empty' };
+  }
+
+  const { data: discount, error } = await supabaseAdmin
+    .from('discounts')
+    .select('*')
+    .eq('code', normalizedCode)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!discount || discount.is_active === false) {
+    return { valid: false, status: 404, error: 'Invalid discount code' };
+  }
+
+  // valid_until is a DATE, so the code stays usable for the whole of that day
+  const today = new Date().toISOString().slice(0, 10);
+  if (discount.valid_until && discount.valid_until < today) {
+    return { valid: false, status: 400, error: 'Discount code has expired' };
+  }
+
+  const type = discount.discount_type || 'percentage';
+  const percentage = parseFloat(discount.percentage);
+  const amount = parseFloat(discount.amount);
+
+  if (
+    !DISCOUNT_TYPES.includes(type) ||
+    (type === 'percentage' && (!(percentage > 0) || percentage > 100)) ||
+    (type === 'fixed' && !(amount > 0))
+  ) {
+    return { valid: false, status: 400, error: 'Discount code is not valid' };
+  }
+
+  if (discount.max_uses != null && (discount.times_used || 0) >= discount.max_uses) {
+    return { valid: false, status: 400, error: 'Discount code has reached its usage limit' };
+  }
+
+  const subtotal = items.reduce((total, item) => total + (item.price * item.quantity), 0);
+  const minSubtotal = parseFloat(discount.min_subtotal) || 0;
+
+  if (subtotal < minSubtotal) {
+    return {
+      valid: false,
+      status: 400,
+      error: `Discount code requires a minimum subtotal of ₦${minSubtotal.toLocaleString('en-NG')}`
+    };
+  }
+
+  if (getDiscountableSubtotal(items, discount) <= 0) {
+    return { valid: false, status: 400, error: 'Discount code does not apply to any items in your cart' };
+  }
+
+  if (discount.max_uses_per_user != null && userId) {
+    const { count, error: countError } = await supabaseAdmin
+      .from('discount_redemptions')
+      .select('id', { count: 'exact', head: true })
+      .eq('discount_id', discount.id)
+      .eq('user_id', userId);
+
+    if (countError) {
+      throw countError;
+    }
+
+    if (count >= discount.max_uses_per_user) {
+      return { valid: false, status: 400, error: 'You have already used this discount code' };
+    }
+  }
+
+  return {
+    valid: true,
+    discount: {
+      ...discount,
+      discount_type: type,
+      percentage: type === 'percentage' ? percentage : null,
+      amount: type === 'fixed' ? amount : null
+    }
+  };
+}
+
+// What a code saved on an order: money off the items plus, for free-delivery
+// codes, the delivery fee that was waived
+export function getOrderDiscountTotal(order) {
+  return (parseFloat(order.discount_amount) || 0) + (parseFloat(order.delivery_discount) || 0);
+}
+
+// Count a redemption for a paid order. Safe to call more than once per order.
+// The usage limit is checked again here, as any number of unpaid orders can
+// pass validateDiscountCode before one is paid. Resolves to 'redeemed',
+// 'already_redeemed', 'limit_reached' or 'not_found'.
+export async function redeemDiscount(order) {
+  if (!order?.discount_code) {
+    return 'not_found';
+  }
+
+  const { data: redemption, error } = await supabaseAdmin.rpc('redeem_discount', {
+    p_code: order.discount_code,
+    p_order_id: order.id,
+    p_user_id: order.user_id,
+    p_amount: getOrderDiscountTotal(order)
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  return redemption;
+}
+
+// Give back a cancelled order's use of its discount code
+export async function releaseDiscount(order) {
+  if (!order?.discount_code) {
+    return false;
+  }
+
+  const { data: released, error } = await supabaseAdmin.rpc('release_discount', {
+    p_order_id: order.id
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  return released;
+}
+
+// Map a payload validated by discountSchema onto a discounts row
+export function toDiscountRecord(value) {
+  return {
+    code: normalizeDiscountCode(value.code),
+    discount_type: value.discount_type,
+    percentage: value.discount_type === 'percentage' ? value.percentage : null,
+    amount: value.discount_type === 'fixed' ? value.amount : null,
+    min_subtotal: value.min_subtotal ?? 0,
+    max_uses: value.max_uses ?? null,
+    max_uses_per_user: value.max_uses_per_user ?? null,
+    category_ids: value.category_ids?.length ? value.category_ids : null,
+    product_ids: value.product_ids?.length ? value.product_ids : null,
+    valid_until: new Date(value.valid_until).toISOString().slice(0, 10),
+    is_active: value.is_active ?? true
+  };
+}
+
+// Per-code usage figures built from orders.discount_code
+export async function getDiscountStats(codes = null) {
+  let query = supabaseAdmin
+    .from('orders')
+    .select('discount_code, discount_amount, delivery_discount, total, payment_status')
+    .not('discount_code', 'is', null);
+
+  if (codes) {
+    query = query.in('discount_code', codes);
+  }
+
+  const { data: orders, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  const stats = {};
+  for (const order of orders || []) {
+    const entry = stats[order.discount_code] ||= {
+      totalOrders: 0,
+      paidOrders: 0,
+      totalDiscountGiven: 0,
+      revenue: 0
+    };
+
+    entry.totalOrders += 1;
+    if (order.payment_status === 'success') {
+      entry.paidOrders += 1;
+      entry.totalDiscountGiven += getOrderDiscountTotal(order);
+      entry.revenue += parseFloat(order.total) || 0;
+    }
+  }
+
+  return stats;
+}
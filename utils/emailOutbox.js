@@ -0,0 +1,292 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { createHttpError } from './helpers.js';
+import { getEmailTransport, getEmailTransportName } from './emailTransports/index.js';
+
+const DEFAULT_FROM_ADDRESS = 'Health Excellence <hello@healthexcellence.shop>'; // Replace with your verified domain
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_BASE_MINUTES = 1;
+const DEFAULT_WORKER_INTERVAL_SECONDS = 30;
+const DEFAULT_BATCH_SIZE = 20;
+const MAX_RETRY_DELAY_MINUTES = 6 * 60;
+// A message left in 'sending' this long was interrupted (e.g. by a restart)
+const STUCK_SENDING_MINUTES = 10;
+
+let processing = false;
+
+const getFromAddress = () => process.env.EMAIL_FROM || DEFAULT_FROM_ADDRESS;
+
+export function getMaxEmailAttempts() {
+  return parseInt(process.env.EMAIL_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+}
+
+// Exponential backoff: 1, 2, 4, 8... minutes after each failed attempt, capped at six hours
+export function getRetryDelayMinutes(attempts) {
+  const base = parseInt(process.env.EMAIL_RETRY_BASE_MINUTES) || DEFAULT_RETRY_BASE_MINUTES;
+  return Math.min(base * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_MINUTES);
+}
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+const recordAttempt = async (email, { attempt, status, transport, providerMessageId = null, error = null }) => {
+  const { error: insertError } = await supabaseAdmin
+    .from('email_attempts')
+    .insert([{
+      email_id: email.id,
+      attempt,
+      status,
+      transport,
+      provider_message_id: providerMessageId,
+      error
+    }]);
+
+  if (insertError) {
+    console.error(`⚠️ Failed to log attempt ${attempt} for email ${email.id}:`, insertError);
+  }
+};
+
+const insertEmail = async ({ to, subject, html, template }) => {
+  const { data: email, error } = await supabaseAdmin
+    .from('email_outbox')
+    .insert([{
+      to_address: to,
+      from_address: getFromAddress(),
+      subject,
+      html,
+      template,
+      status: 'queued',
+      attempts: 0,
+      max_attempts: getMaxEmailAttempts(),
+      next_attempt_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return email;
+};
+
+/**
+ * Add an email to the outbox. The background worker sends it, retrying with
+ * backoff when the transport fails. Resolves to the outbox row.
+ */
+export async function queueEmail({ to, subject, html, template = null }) {
+  const email = await insertEmail({ to, subject, html, template });
+
+  // Send straight away rather than waiting for the next worker tick
+  processOutbox().catch(processError => {
+    console.error('Email outbox error:', processError);
+  });
+
+  return email;
+}
+
+// Claim one message so two workers never send it twice
+const claimEmail = async (email) => {
+  const { data: claimed, error } = await supabaseAdmin
+    .from('email_outbox')
+    .update({ status: 'sending', updated_at: new Date().toISOString() })
+    .eq('id', email.id)
+    .eq('status', 'queued')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return claimed;
+};
+
+const deliverEmail = async (email) => {
+  const attempt = email.attempts + 1;
+  const transportName = getEmailTransportName();
+
+  try {
+    const result = await getEmailTransport(transportName).send({
+      from: email.from_address,
+      to: email.to_address,
+      subject: email.subject,
+      html: email.html
+    });
+
+    await supabaseAdmin
+      .from('email_outbox')
+      .update({
+        status: 'sent',
+        attempts: attempt,
+        transport: transportName,
+        provider_message_id: result.id,
+        last_error: null,
+        sent_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', email.id);
+
+    await recordAttempt(email, { attempt, status: 'sent', transport: transportName, providerMessageId: result.id });
+
+    console.log(`📧 Email ${email.id} (${email.template || email.subject}) sent to ${email.to_address}`);
+    return 'sent';
+  } catch (sendError) {
+    const message = sendError.message || String(sendError);
+    const exhausted = attempt >= email.max_attempts;
+
+    await supabaseAdmin
+      .from('email_outbox')
+      .update({
+        status: exhausted ? 'failed' : 'queued',
+        attempts: attempt,
+        transport: transportName,
+        last_error: message,
+        next_attempt_at: exhausted ? null : minutesFromNow(getRetryDelayMinutes(attempt)),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', email.id);
+
+    await recordAttempt(email, { attempt, status: 'failed', transport: transportName, error: message });
+
+    console.error(`⚠️ Email ${email.id} attempt ${attempt}/${email.max_attempts} failed:`, message);
+    return exhausted ? 'failed' : 'retrying';
+  }
+};
+
+/**
+ * Add an email to the outbox and make its first delivery attempt before
+ * resolving, for messages the user is waiting on. A failed attempt is retried
+ * by the worker like any other. Resolves to
+ * { email, status: 'sent' | 'retrying' | 'failed' }
+ */
+export async function sendEmailNow({ to, subject, html, template = null }) {
+  const email = await insertEmail({ to, subject, html, template });
+  const claimed = await claimEmail(email);
+
+  // Only a worker that picked it up in between could have claimed it
+  const status = claimed ? await deliverEmail(claimed) : 'retrying';
+  return { email, status };
+}
+
+// Requeue messages whose send was interrupted before its outcome was stored
+const requeueStuckEmails = async () => {
+  const cutoff = new Date(Date.now() - STUCK_SENDING_MINUTES * 60 * 1000).toISOString();
+
+  const { error } = await supabaseAdmin
+    .from('email_outbox')
+    .update({ status: 'queued', updated_at: new Date().toISOString() })
+    .eq('status', 'sending')
+    .lt('updated_at', cutoff);
+
+  if (error) {
+    throw error;
+  }
+};
+
+/**
+ * Send every queued message that is due. Returns null if a pass is already
+ * running in this process, otherwise { sent, retrying, failed }.
+ */
+export async function processOutbox({ limit = DEFAULT_BATCH_SIZE } = {}) {
+  if (processing) {
+    return null;
+  }
+
+  processing = true;
+  const counts = { sent: 0, retrying: 0, failed: 0 };
+
+  try {
+    await requeueStuckEmails();
+
+    const { data: emails, error } = await supabaseAdmin
+      .from('email_outbox')
+      .select('*')
+      .eq('status', 'queued')
+      .lte('next_attempt_at', new Date().toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      throw error;
+    }
+
+    for (const email of emails || []) {
+      const claimed = await claimEmail(email);
+      if (!claimed) {
+        continue;
+      }
+
+      counts[await deliverEmail(claimed)]++;
+    }
+
+    return counts;
+  } finally {
+    processing = false;
+  }
+}
+
+// Send a failed message again with a fresh set of attempts
+export async function retryEmail(id) {
+  const { data: email, error } = await supabaseAdmin
+    .from('email_outbox')
+    .select('id, status, attempts')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!email) {
+    throw createHttpError('Email not found', 404);
+  }
+
+  if (email.status !== 'failed') {
+    throw createHttpError(`Only failed emails can be retried; this one is ${email.status}`, 400);
+  }
+
+  const { data: requeued, error: updateError } = await supabaseAdmin
+    .from('email_outbox')
+    .update({
+      status: 'queued',
+      max_attempts: email.attempts + getMaxEmailAttempts(),
+      next_attempt_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', id)
+    .eq('status', 'failed')
+    .select()
+    .maybeSingle();
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  if (!requeued) {
+    throw createHttpError('Email was already requeued', 409);
+  }
+
+  processOutbox().catch(processError => {
+    console.error('Email outbox error:', processError);
+  });
+
+  return requeued;
+}
+
+export function startEmailWorker() {
+  const intervalSeconds = parseInt(process.env.EMAIL_WORKER_INTERVAL_SECONDS) || DEFAULT_WORKER_INTERVAL_SECONDS;
+
+  const work = async () => {
+    try {
+      const counts = await processOutbox();
+      if (counts && (counts.retrying > 0 || counts.failed > 0)) {
+        console.log(`📧 Email outbox: ${counts.sent} sent, ${counts.retrying} retrying, ${counts.failed} failed`);
+      }
+    } catch (error) {
+      console.error('Email outbox error:', error);
+    }
+  };
+
+  const timer = setInterval(work, intervalSeconds * 1000);
+  timer.unref();
+  return timer;
+}
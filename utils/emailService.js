@@ -1,14 +1,10 @@
-import { Resend } from 'resend';
+import { queueEmail, sendEmailNow } from './emailOutbox.js';
 
-const resend = new Resend(process.env.RESEND_API_KEY);
+const formatNaira = (amount) => `₦${Number(amount || 0).toLocaleString()}`;
 
-export const sendOrderConfirmationEmail = async (order, userEmail, userName = 'Customer') => {
-  try {
-    const { data, error } = await resend.emails.send({
-      from: 'Health Excellence <hello@healthexcellence.shop>', // Replace with your verified domain
-      to: [userEmail],
-      subject: `Order Confirmation - #${order.id}`,
-      html: `
+const orderUrl = (order) => `${process.env.FRONTEND_URL}/orders/${order.id}`;
+
+const renderLayout = (heading, intro, content) => `
         <!DOCTYPE html>
         <html>
         <head>
@@ -21,56 +17,240 @@ export const sendOrderConfirmationEmail = async (order, userEmail, userName = 'C
                 .total { font-weight: bold; font-size: 1.1em; margin-top: 15px; }
                 .status { display: inline-block; padding: 5px 10px; border-radius: 3px; background: #ffc107; color: #000; }
                 .paid { background: #28a745; color: #fff; }
+                .button { display: inline-block; padding: 10px 20px; border-radius: 5px; background: #28a745; color: #fff; text-decoration: none; }
             </style>
         </head>
         <body>
             <div class="container">
                 <div class="header">
-                    <h1>Order Confirmation</h1>
-                    <p>Thank you for your purchase, ${userName}!</p>
+                    <h1>${heading}</h1>
+                    <p>${intro}</p>
                 </div>
-                
+                ${content}
+                <p>If you have any questions, please contact our support team.</p>
+            </div>
+        </body>
+        </html>
+      `;
+
+const renderItems = (items) => items.map(item => `
+                        <div class="order-item">
+                            <strong>${item.product_name}</strong><br>
+                            Quantity: ${item.quantity} × ${formatNaira(item.price)}
+                        </div>
+                    `).join('');
+
+const renderOrderSummary = (order) => `
                 <div class="order-details">
                     <h2>Order #${order.id}</h2>
                     <p><strong>Order Date:</strong> ${new Date(order.created_at).toLocaleDateString()}</p>
                     <p><strong>Status:</strong> <span class="status ${order.payment_status === 'success' ? 'paid' : ''}">${order.order_status}</span></p>
-                    
-                    <h3>Shipping Address</h3>
+
+                    <h3>${order.delivery_method === 'pickup' ? 'Pickup Location' : 'Shipping Address'}</h3>
                     <p>${order.address}<br>
                     ${order.city}, ${order.state}<br>
                     ${order.phone ? `Phone: ${order.phone}` : ''}</p>
-                    
+
                     <h3>Order Items</h3>
-                    ${order.order_items.map(item => `
-                        <div class="order-item">
-                            <strong>${item.product_name}</strong><br>
-                            Quantity: ${item.quantity} × ₦${item.price.toLocaleString()}
-                        </div>
-                    `).join('')}
-                    
+                    ${renderItems(order.order_items || [])}
+
                     <div class="total">
-                        <p>Subtotal: ₦${order.subtotal.toLocaleString()}</p>
-                        <p>Delivery Fee: ₦${order.delivery_fee.toLocaleString()}</p>
-                        <p>Total: ₦${order.total.toLocaleString()}</p>
+                        <p>Subtotal: ${formatNaira(order.subtotal)}</p>
+                        <p>Delivery Fee: ${formatNaira(order.delivery_fee)}</p>
+                        ${order.discount_amount > 0 ? `<p>Discount${order.discount_code ? ` (${order.discount_code})` : ''}: -${formatNaira(order.discount_amount)}</p>` : ''}
+                        <p>Total: ${formatNaira(order.total)}</p>
                     </div>
                 </div>
-                
-                <p>We'll notify you when your order ships. If you have any questions, please contact our support team.</p>
-            </div>
-        </body>
-        </html>
-      `,
-    });
+      `;
 
-    if (error) {
-      console.error('Error sending email:', error);
-      return { success: false, error };
-    }
+const renderShipment = (shipment) => shipment ? `
+                <div class="order-details">
+                    <p><strong>Carrier:</strong> ${shipment.carrier}</p>
+                    <p><strong>Tracking number:</strong> ${shipment.tracking_url
+                      ? `<a href="${shipment.tracking_url}">${shipment.tracking_number}</a>`
+                      : shipment.tracking_number}</p>
+                    ${shipment.estimated_delivery && shipment.status !== 'delivered'
+                      ? `<p><strong>Estimated delivery:</strong> ${new Date(shipment.estimated_delivery).toLocaleDateString()}</p>`
+                      : ''}
+                    ${shipment.proof_of_delivery_url && shipment.status === 'delivered'
+                      ? `<p><a href="${shipment.proof_of_delivery_url}">View proof of delivery</a></p>`
+                      : ''}
+                </div>
+      ` : '';
 
-    console.log('Order confirmation email sent successfully');
-    return { success: true, data };
+/**
+ * Queue an email in the outbox; the email worker delivers it and retries
+ * failures. Resolves to { success, data | error } and never throws.
+ */
+export const sendEmail = async ({ to, subject, html, template = null }) => {
+  try {
+    const email = await queueEmail({ to, subject, html, template });
+    return { success: true, data: { id: email.id } };
   } catch (error) {
-    console.error('Failed to send order confirmation email:', error);
+    console.error(`Failed to queue ${template || 'email'}:`, error);
     return { success: false, error };
   }
-};
\ No newline at end of file
+};
+
+// Queue an email and wait for its first delivery attempt, for messages the
+// user is waiting on (verification, password reset). Resolves to
+// { queued, sent }; a message that was queued but not sent is retried.
+export const sendEmailAndWait = async ({ to, subject, html, template = null }) => {
+  try {
+    const { status } = await sendEmailNow({ to, subject, html, template });
+    return { queued: true, sent: status === 'sent' };
+  } catch (error) {
+    console.error(`Failed to queue ${template || 'email'}:`, error);
+    return { queued: false, sent: false, error };
+  }
+};
+
+// Order placed (cash on delivery and bank transfer orders, which are not paid at checkout)
+export const sendOrderConfirmationEmail = async (order, userEmail, userName = 'Customer') => {
+  return sendEmail({
+    template: 'order_confirmation',
+    to: userEmail,
+    subject: `Order Confirmation - #${order.id}`,
+    html: renderLayout(
+      'Order Confirmation',
+      `Thank you for your purchase, ${userName}!`,
+      `${renderOrderSummary(order)}
+                <p>We'll notify you when your order ships.</p>`
+    )
+  });
+};
+
+export const sendPaymentReceivedEmail = async (order, userEmail, userName = 'Customer') => {
+  return sendEmail({
+    template: 'payment_received',
+    to: userEmail,
+    subject: `Payment Received - Order #${order.id}`,
+    html: renderLayout(
+      'Payment Received',
+      `Thank you, ${userName}! We have received your payment of ${formatNaira(order.paid_amount ?? order.total)}.`,
+      `${renderOrderSummary(order)}
+                <p>We are preparing your order and will notify you when it ships.</p>`
+    )
+  });
+};
+
+export const sendPaymentFailedEmail = async (order, userEmail, userName = 'Customer') => {
+  return sendEmail({
+    template: 'payment_failed',
+    to: userEmail,
+    subject: `Payment Failed - Order #${order.id}`,
+    html: renderLayout(
+      'Payment Failed',
+      `Hi ${userName}, your payment for order #${order.id} did not go through.`,
+      `${renderOrderSummary(order)}
+                <p>No money has been taken. You can try again from your order page.</p>
+                <p><a class="button" href="${orderUrl(order)}">Retry payment</a></p>`
+    )
+  });
+};
+
+export const sendOrderShippedEmail = async (order, shipment, userEmail, userName = 'Customer') => {
+  return sendEmail({
+    template: 'order_shipped',
+    to: userEmail,
+    subject: `Your Order Has Shipped - #${order.id}`,
+    html: renderLayout(
+      'Your order is on its way',
+      `Good news, ${userName}! Order #${order.id} has shipped.`,
+      `${renderShipment(shipment)}
+                <p><a class="button" href="${orderUrl(order)}">Track your order</a></p>`
+    )
+  });
+};
+
+export const sendOrderDeliveredEmail = async (order, shipment, userEmail, userName = 'Customer') => {
+  return sendEmail({
+    template: 'order_delivered',
+    to: userEmail,
+    subject: `Your Order Has Been Delivered - #${order.id}`,
+    html: renderLayout(
+      'Your order has been delivered',
+      `Hi ${userName}, order #${order.id} has been delivered. We hope you enjoy it!`,
+      `${renderShipment(shipment)}
+                <p>If anything arrived damaged or expired, you can request a return from your order page.</p>`
+    )
+  });
+};
+
+const SHIPMENT_EVENT_HEADINGS = {
+  in_transit: 'Your order is in transit',
+  out_for_delivery: 'Your order is out for delivery',
+  delivery_failed: 'We missed you'
+};
+
+// Tracking updates between dispatch and delivery
+export const sendShipmentUpdateEmail = async (order, shipment, event, userEmail, userName = 'Customer') => {
+  const heading = SHIPMENT_EVENT_HEADINGS[event.event_type] || 'Shipment update';
+
+  return sendEmail({
+    template: 'shipment_update',
+    to: userEmail,
+    subject: `${heading} - Order #${order.id}`,
+    html: renderLayout(
+      heading,
+      `Hi ${userName},`,
+      `${event.description ? `<p>${event.description}</p>` : ''}
+                ${event.location ? `<p><strong>Location:</strong> ${event.location}</p>` : ''}
+                ${renderShipment(shipment)}`
+    )
+  });
+};
+
+export const sendOrderCancelledEmail = async (order, userEmail, userName = 'Customer', { reason } = {}) => {
+  const paid = ['success', 'partially_refunded', 'refunded'].includes(order.payment_status);
+
+  return sendEmail({
+    template: 'order_cancelled',
+    to: userEmail,
+    subject: `Order Cancelled - #${order.id}`,
+    html: renderLayout(
+      'Order Cancelled',
+      `Hi ${userName}, order #${order.id} has been cancelled.`,
+      `${reason ? `<p><strong>Reason:</strong> ${reason}</p>` : ''}
+                ${renderOrderSummary(order)}
+                <p>${paid
+                  ? 'Your refund is on its way; we will email you once it has been processed.'
+                  : 'You have not been charged for this order.'}</p>`
+    )
+  });
+};
+
+export const sendRefundEmail = async (order, refund, userEmail, userName = 'Customer') => {
+  return sendEmail({
+    template: 'refund',
+    to: userEmail,
+    subject: `Refund Processed - Order #${order.id}`,
+    html: renderLayout(
+      'Refund Processed',
+      `Hi ${userName}, we have refunded ${formatNaira(refund.amount)} for order #${order.id}.`,
+      `${refund.reason ? `<p><strong>Reason:</strong> ${refund.reason}</p>` : ''}
+                <p>Depending on your bank, it can take 5-10 working days for the money to reach your account.</p>`
+    )
+  });
+};
+
+// cartItems are cart rows with their product joined in
+export const sendAbandonedCartEmail = async (cartItems, userEmail, userName = 'Customer') => {
+  return sendEmail({
+    template: 'abandoned_cart',
+    to: userEmail,
+    subject: 'You left something in your cart',
+    html: renderLayout(
+      'Still thinking it over?',
+      `Hi ${userName}, the items in your cart are waiting for you.`,
+      `<div class="order-details">
+                    ${renderItems(cartItems.map(item => ({
+                      product_name: item.products.name,
+                      quantity: item.quantity,
+                      price: item.products.price
+                    })))}
+                </div>
+                <p><a class="button" href="${process.env.FRONTEND_URL}/cart">Complete your order</a></p>`
+    )
+  });
+};
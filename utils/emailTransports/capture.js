@@ -0,0 +1,26 @@
+import crypto from 'crypto';
+
+// In-memory transport for automated tests: emails are kept in this process
+// and can be inspected with getCapturedEmails().
+
+const captured = [];
+
+export function getCapturedEmails() {
+  return [...captured];
+}
+
+export function clearCapturedEmails() {
+  captured.length = 0;
+}
+
+const captureTransport = {
+  name: 'capture',
+
+  async send({ from, to, subject, html }) {
+    const id = crypto.randomUUID();
+    captured.push({ id, from, to, subject, html, sent_at: new Date().toISOString() });
+    return { id };
+  }
+};
+
+export default captureTransport;
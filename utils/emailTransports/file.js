@@ -0,0 +1,29 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Development transport: every email is written to EMAIL_CAPTURE_DIR as an
+// .html file (open it in a browser) next to a .json file with its envelope.
+
+export const getCaptureDir = () => path.resolve(process.env.EMAIL_CAPTURE_DIR || 'tmp/emails');
+
+const fileTransport = {
+  name: 'file',
+
+  async send({ from, to, subject, html }) {
+    const id = crypto.randomUUID();
+    const dir = getCaptureDir();
+    const baseName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${id}`;
+
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, `${baseName}.html`), html);
+    await fs.writeFile(
+      path.join(dir, `${baseName}.json`),
+      JSON.stringify({ id, from, to, subject, sent_at: new Date().toISOString() }, null, 2)
+    );
+
+    return { id };
+  }
+};
+
+export default fileTransport;
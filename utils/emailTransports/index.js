@@ -0,0 +1,34 @@
+import resendTransport from './resend.js';
+import fileTransport from './file.js';
+import captureTransport from './capture.js';
+
+/**
+ * Email transports share one interface:
+ *  - send({ from, to, subject, html }) -> { id }   (throws when the email was not accepted)
+ */
+const transports = {
+  resend: resendTransport,
+  file: fileTransport,
+  capture: captureTransport
+};
+
+// Transports that only keep emails locally
+const LOCAL_TRANSPORTS = [fileTransport, captureTransport];
+
+export function getEmailTransportName() {
+  return (process.env.EMAIL_TRANSPORT || 'resend').toLowerCase();
+}
+
+export function getEmailTransport(name = getEmailTransportName()) {
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown email transport: ${name}`);
+  }
+
+  if (LOCAL_TRANSPORTS.includes(transport) && process.env.NODE_ENV === 'production') {
+    throw new Error(`The ${name} email transport cannot be used in production`);
+  }
+
+  return transport;
+}
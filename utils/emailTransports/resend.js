@@ -0,0 +1,31 @@
+import { Resend } from 'resend';
+
+let client;
+
+const getClient = () => {
+  if (!client) {
+    client = new Resend(process.env.RESEND_API_KEY);
+  }
+  return client;
+};
+
+const resendTransport = {
+  name: 'resend',
+
+  async send({ from, to, subject, html }) {
+    const { data, error } = await getClient().emails.send({
+      from,
+      to: [to],
+      subject,
+      html
+    });
+
+    if (error) {
+      throw Object.assign(new Error(error.message || 'Resend rejected the email'), { response: error });
+    }
+
+    return { id: data?.id || null };
+  }
+};
+
+export default resendTransport;
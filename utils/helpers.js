@@ -12,6 +12,155 @@ export const productSchema = Joi.object({
   image_url: Joi.string().uri().allow('').optional()
 });
 
+// Shipping details arrive as multipart strings; Joi converts them to numbers
+export const productShippingSchema = Joi.object({
+  shipping_weight_kg: Joi.number().min(0).max(1000).empty(''),
+  shipping_length_cm: Joi.number().min(0).max(500).empty('').allow(null),
+  shipping_width_cm: Joi.number().min(0).max(500).empty('').allow(null),
+  shipping_height_cm: Joi.number().min(0).max(500).empty('').allow(null)
+});
+
+const discountFields = {
+  code: Joi.string().trim().min(3).max(50).pattern(/^[A-Za-z0-9_-]+$/),
+  discount_type: Joi.string().valid('percentage', 'fixed', 'free_delivery'),
+  percentage: Joi.number().greater(0).max(100).allow(null),
+  amount: Joi.number().greater(0).allow(null),
+  min_subtotal: Joi.number().min(0).allow(null).optional(),
+  max_uses: Joi.number().integer().min(1).allow(null).optional(),
+  max_uses_per_user: Joi.number().integer().min(1).allow(null).optional(),
+  category_ids: Joi.array().items(Joi.string().uuid()).allow(null).optional(),
+  product_ids: Joi.array().items(Joi.string().uuid()).allow(null).optional(),
+  valid_until: Joi.date().iso(),
+  is_active: Joi.boolean().optional()
+};
+
+export const discountSchema = Joi.object({
+  ...discountFields,
+  code: discountFields.code.required(),
+  discount_type: discountFields.discount_type.default('percentage'),
+  percentage: discountFields.percentage.when('discount_type', {
+    is: 'percentage',
+    then: Joi.number().invalid(null).required(),
+    otherwise: Joi.any().strip()
+  }),
+  amount: discountFields.amount.when('discount_type', {
+    is: 'fixed',
+    then: Joi.number().invalid(null).required(),
+    otherwise: Joi.any().strip()
+  }),
+  valid_until: discountFields.valid_until.required()
+});
+
+// Partial updates are re-checked against discountSchema once merged with the stored row
+export const discountUpdateSchema = Joi.object(discountFields).min(1);
+
+export const refundSchema = Joi.object({
+  amount: Joi.number().greater(0).optional(),
+  reason: Joi.string().max(500).allow('').optional(),
+  restock: Joi.boolean().optional(),
+  items: Joi.array().items(Joi.object({
+    product_id: Joi.string().uuid().required(),
+    quantity: Joi.number().integer().min(1).required()
+  })).optional()
+});
+
+export const RETURN_REASONS = ['damaged', 'expired', 'wrong_item', 'missing_item', 'other'];
+
+// Multipart form fields arrive as strings; Joi converts them
+export const returnRequestSchema = Joi.object({
+  product_id: Joi.string().uuid().required(),
+  quantity: Joi.number().integer().min(1).optional(),
+  reason: Joi.string().valid(...RETURN_REASONS).required(),
+  details: Joi.string().max(1000).allow('').optional()
+});
+
+export const returnApprovalSchema = Joi.object({
+  amount: Joi.number().greater(0).optional(),
+  restock: Joi.boolean().optional(),
+  note: Joi.string().max(500).allow('').optional()
+});
+
+const shipmentFields = {
+  carrier: Joi.string().max(100),
+  tracking_number: Joi.string().max(100),
+  tracking_url: Joi.string().uri().allow(null, ''),
+  dispatched_at: Joi.date().iso(),
+  estimated_delivery: Joi.date().iso().allow(null)
+};
+
+export const shipmentSchema = Joi.object({
+  ...shipmentFields,
+  carrier: shipmentFields.carrier.required(),
+  tracking_number: shipmentFields.tracking_number.required(),
+  note: Joi.string().max(500).allow('').optional()
+});
+
+export const shipmentUpdateSchema = Joi.object(shipmentFields).min(1);
+
+// Multipart form fields arrive as strings ('delivered' events carry a photo)
+export const shipmentEventSchema = Joi.object({
+  event_type: Joi.string().valid('in_transit', 'out_for_delivery', 'delivery_failed', 'delivered').required(),
+  description: Joi.string().max(500).allow('').optional(),
+  location: Joi.string().max(200).allow('').optional(),
+  occurred_at: Joi.date().iso().optional()
+});
+
+const deliveryZoneFields = {
+  name: Joi.string().min(2).max(100),
+  label: Joi.string().min(2).max(100),
+  // Base fee; per_kg and per_item zones add `rate` for each kg or item beyond included_quantity
+  fee: Joi.number().min(0),
+  pricing_type: Joi.string().valid('flat', 'per_kg', 'per_item'),
+  rate: Joi.number().min(0),
+  included_quantity: Joi.number().min(0),
+  free_delivery_threshold: Joi.number().min(0).allow(null),
+  // Estimated delivery window shown to customers
+  eta_min_days: Joi.number().integer().min(0).max(60),
+  eta_max_days: Joi.number().integer().min(0).max(60),
+  // Added to the standard fee for express delivery; null means no express in this zone
+  express_surcharge: Joi.number().min(0).allow(null),
+  express_eta_min_days: Joi.number().integer().min(0).max(60),
+  express_eta_max_days: Joi.number().integer().min(0).max(60),
+  is_default: Joi.boolean().optional(),
+  is_active: Joi.boolean().optional(),
+  // A state on its own covers the whole state; a city entry overrides it for that city
+  areas: Joi.array().items(Joi.object({
+    state: Joi.string().min(2).max(100).required(),
+    city: Joi.string().min(2).max(100).allow(null).optional()
+  }))
+};
+
+export const deliveryZoneSchema = Joi.object({
+  ...deliveryZoneFields,
+  name: deliveryZoneFields.name.required(),
+  label: deliveryZoneFields.label.required(),
+  fee: deliveryZoneFields.fee.required(),
+  areas: deliveryZoneFields.areas.default([])
+});
+
+export const deliveryZoneUpdateSchema = Joi.object(deliveryZoneFields).min(1);
+
+const pickupLocationFields = {
+  name: Joi.string().min(2).max(100),
+  address: Joi.string().min(5).max(500),
+  city: Joi.string().min(2).max(100),
+  state: Joi.string().min(2).max(100),
+  phone: Joi.string().max(30).allow('', null),
+  opening_hours: Joi.string().max(200).allow('', null),
+  ready_in_days: Joi.number().integer().min(0).max(30),
+  is_active: Joi.boolean()
+};
+
+export const pickupLocationSchema = Joi.object({
+  ...pickupLocationFields,
+  name: pickupLocationFields.name.required(),
+  address: pickupLocationFields.address.required(),
+  city: pickupLocationFields.city.required(),
+  state: pickupLocationFields.state.required()
+});
+
+export const pickupLocationUpdateSchema = Joi.object(pickupLocationFields).min(1);
+
 export const orderSchema = Joi.object({
   state: Joi.string().min(2).max(100).required(),
   city: Joi.string().min(2).max(100).required(),
@@ -31,6 +180,11 @@ export const validateRequest = (schema) => {
   };
 };
 
+// Error carrying the HTTP status a route should answer with
+export const createHttpError = (message, status = 500) => {
+  return Object.assign(new Error(message), { status });
+};
+
 export const handleSupabaseError = (error, res) => {
   console.error('Supabase error:', error);
   
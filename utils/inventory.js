@@ -0,0 +1,131 @@
+import { supabaseAdmin } from '../config/supabase.js';
+
+const DEFAULT_HOLD_MINUTES = 30;
+const DEFAULT_SWEEP_MINUTES = 5;
+
+export function getStockHoldMinutes() {
+  return parseInt(process.env.STOCK_HOLD_MINUTES) || DEFAULT_HOLD_MINUTES;
+}
+
+// Hold stock for an unpaid order until `expiresAt` (by default
+// STOCK_HOLD_MINUTES from now). All items are reserved or none are.
+// Resolves to { reserved: true, expiresAt } or { reserved: false, productId }
+export async function reserveStock(orderId, items, {
+  expiresAt = new Date(Date.now() + getStockHoldMinutes() * 60 * 1000)
+} = {}) {
+
+  // Lock products in a stable order so concurrent reservations cannot deadlock
+  const payload = items
+    .map(item => ({ product_id: item.product_id, quantity: item.quantity }))
+    .sort((a, b) => a.product_id.localeCompare(b.product_id));
+
+  const { error } = await supabaseAdmin.rpc('reserve_stock', {
+    p_order_id: orderId,
+    p_items: payload,
+    p_expires_at: expiresAt.toISOString()
+  });
+
+  if (error) {
+    const match = error.message?.match(/INSUFFICIENT_STOCK:([0-9a-f-]+)/i);
+    if (match) {
+      return { reserved: false, productId: match[1] };
+    }
+    throw error;
+  }
+
+  return { reserved: true, expiresAt };
+}
+
+// Convert an order's holds into a sale once payment is confirmed.
+// Orders placed before reservations existed fall back to decrement_stock.
+export async function commitStock(order) {
+  const { count, error: countError } = await supabaseAdmin
+    .from('stock_reservations')
+    .select('id', { count: 'exact', head: true })
+    .eq('order_id', order.id);
+
+  if (countError) {
+    throw countError;
+  }
+
+  if (!count) {
+    for (const item of order.order_items || []) {
+      const { error: stockError } = await supabaseAdmin.rpc('decrement_stock', {
+        product_id: item.product_id,
+        quantity: item.quantity
+      });
+
+      if (stockError) {
+        console.error(`⚠️ Failed to decrement stock for ${item.product_id}:`, stockError);
+      }
+    }
+    return { shortfall: 0 };
+  }
+
+  const { data: shortfall, error } = await supabaseAdmin.rpc('commit_stock_reservation', {
+    p_order_id: order.id
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  return { shortfall };
+}
+
+// Give back any stock still held for an order (payment failed or order cancelled)
+export async function releaseStock(orderId) {
+  const { data: released, error } = await supabaseAdmin.rpc('release_stock_reservation', {
+    p_order_id: orderId
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  return released;
+}
+
+// Put stock already sold to an order back (e.g. a cancelled pay-on-delivery order)
+export async function returnCommittedStock(orderId) {
+  const { data: returned, error } = await supabaseAdmin.rpc('return_committed_stock', {
+    p_order_id: orderId
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  return returned;
+}
+
+export async function releaseExpiredReservations() {
+  const { data: released, error } = await supabaseAdmin.rpc('release_stock_reservation', {
+    p_order_id: null
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  return released;
+}
+
+export function startReservationSweeper() {
+  const intervalMinutes = parseInt(process.env.STOCK_SWEEP_MINUTES) || DEFAULT_SWEEP_MINUTES;
+
+  const sweep = async () => {
+    try {
+      const released = await releaseExpiredReservations();
+      if (released > 0) {
+        console.log(`📦 Released ${released} expired stock reservation(s)`);
+      }
+    } catch (error) {
+      console.error('Stock reservation sweep error:', error);
+    }
+  };
+
+  const timer = setInterval(sweep, intervalMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,115 @@
+import NIGERIAN_LGAS from './data/nigerianLgas.js';
+
+// Canonical state names, as stored on orders and addresses
+export const NIGERIAN_STATES = Object.keys(NIGERIAN_LGAS);
+
+// Compare names ignoring case, spacing and punctuation ("Akwa-Ibom" = "akwa ibom")
+const toKey = (value) => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const STATE_ALIASES = {
+  abuja: 'FCT',
+  fctabuja: 'FCT',
+  abujafct: 'FCT',
+  federalcapitalterritory: 'FCT',
+  nassarawa: 'Nasarawa'
+};
+
+// Other names customers commonly use for an LGA
+const LGA_ALIASES = {
+  'FCT': {
+    amac: 'Municipal Area Council',
+    abujamunicipal: 'Municipal Area Council',
+    abujamunicipalareacouncil: 'Municipal Area Council'
+  },
+  'Kwara': { patigi: 'Pategi' },
+  'Lagos': { somolu: 'Shomolu', ifakoijaye: 'Ifako-Ijaiye' },
+  'Ogun': { yewanorth: 'Egbado North', yewasouth: 'Egbado South', shagamu: 'Sagamu' },
+  'Oyo': { ogbomosonorth: 'Ogbomosho North', ogbomososouth: 'Ogbomosho South' },
+  'Rivers': { portharcourtcity: 'Port Harcourt', phalga: 'Port Harcourt' },
+  'Zamfara': { tsafe: 'Chafe' }
+};
+
+// Cities and districts customers give as their city, mapped to the LGA that
+// holds their centre. A real LGA of the same name always wins.
+const CITY_LGAS = {
+  'FCT': { abuja: 'Municipal Area Council', garki: 'Municipal Area Council', wuse: 'Municipal Area Council', maitama: 'Municipal Area Council', asokoro: 'Municipal Area Council', gwarinpa: 'Municipal Area Council', kubwa: 'Bwari' },
+  'Abia': { aba: 'Aba South', umuahia: 'Umuahia North' },
+  'Adamawa': { yola: 'Yola North' },
+  'Anambra': { onitsha: 'Onitsha North', awka: 'Awka South', nnewi: 'Nnewi North' },
+  'Borno': { maiduguri: 'Maiduguri' },
+  'Cross River': { calabar: 'Calabar Municipal' },
+  'Delta': { warri: 'Warri South', asaba: 'Oshimili South' },
+  'Edo': { benin: 'Oredo', benincity: 'Oredo' },
+  'Ekiti': { adoekiti: 'Ado Ekiti', ado: 'Ado Ekiti' },
+  'Enugu': { enugu: 'Enugu North' },
+  'Imo': { owerri: 'Owerri Municipal' },
+  'Kaduna': { kaduna: 'Kaduna North' },
+  'Kano': { kano: 'Kano Municipal', kanocity: 'Kano Municipal' },
+  'Kwara': { ilorin: 'Ilorin West' },
+  'Lagos': {
+    lekki: 'Eti-Osa',
+    ajah: 'Eti-Osa',
+    victoriaisland: 'Eti-Osa',
+    vi: 'Eti-Osa',
+    ikoyi: 'Eti-Osa',
+    yaba: 'Lagos Mainland',
+    ebutemetta: 'Lagos Mainland',
+    lagos: 'Lagos Island',
+    festac: 'Amuwo-Odofin',
+    festactown: 'Amuwo-Odofin',
+    gbagada: 'Kosofe',
+    magodo: 'Kosofe',
+    maryland: 'Ikeja',
+    allenavenue: 'Ikeja',
+    ogba: 'Ikeja',
+    ikotun: 'Alimosho',
+    egbeda: 'Alimosho',
+    ipaja: 'Alimosho'
+  },
+  'Niger': { minna: 'Chanchaga' },
+  'Ogun': { abeokuta: 'Abeokuta South', ota: 'Ado-Odo/Ota', ijebuode: 'Ijebu Ode' },
+  'Ondo': { akure: 'Akure South' },
+  'Osun': { ileife: 'Ife Central', ife: 'Ife Central', ilesa: 'Ilesa East', oshogbo: 'Osogbo' },
+  'Oyo': { ibadan: 'Ibadan North', ogbomoso: 'Ogbomosho North', ogbomosho: 'Ogbomosho North' },
+  'Plateau': { jos: 'Jos North' },
+  'Rivers': { rumuokoro: 'Obio/Akpor' },
+  'Sokoto': { sokoto: 'Sokoto North' }
+};
+
+const STATES_BY_KEY = new Map(NIGERIAN_STATES.map(state => [toKey(state), state]));
+
+const LGAS_BY_KEY = new Map(NIGERIAN_STATES.map(state => [
+  state,
+  new Map([
+    ...Object.entries(CITY_LGAS[state] || {}),
+    ...Object.entries(LGA_ALIASES[state] || {}),
+    ...NIGERIAN_LGAS[state].map(lga => [toKey(lga), lga])
+  ])
+]));
+
+// Canonical name of a state ("lagos state" -> "Lagos", "Abuja" -> "FCT"), or null
+export function normalizeState(state) {
+  if (typeof state !== 'string' || !state.trim()) {
+    return null;
+  }
+
+  const key = toKey(state.trim().replace(/\s+state$/i, ''));
+  return STATES_BY_KEY.get(key) || STATE_ALIASES[key] || null;
+}
+
+// Canonical name of an LGA within a state, or null. Main cities and
+// districts resolve to the LGA they are in ("Ibadan" -> "Ibadan North").
+export function normalizeLga(state, lga) {
+  const canonicalState = normalizeState(state);
+
+  if (!canonicalState || typeof lga !== 'string' || !lga.trim()) {
+    return null;
+  }
+
+  return LGAS_BY_KEY.get(canonicalState).get(toKey(lga)) || null;
+}
+
+export function getLgas(state) {
+  const canonicalState = normalizeState(state);
+  return canonicalState ? NIGERIAN_LGAS[canonicalState] : [];
+}
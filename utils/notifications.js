@@ -0,0 +1,19 @@
+import { supabaseAdmin } from '../config/supabase.js';
+
+// Look up the customer and call `send(email, name)`. Emails never fail the
+// action that triggered them.
+export async function notifyCustomer(userId, send) {
+  try {
+    const { data: user } = await supabaseAdmin
+      .from('users')
+      .select('full_name, email')
+      .eq('id', userId)
+      .single();
+
+    if (user?.email) {
+      await send(user.email, user.full_name || 'Customer');
+    }
+  } catch (error) {
+    console.error(`⚠️ Failed to email user ${userId}:`, error);
+  }
+}
@@ -0,0 +1,110 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { releaseStock } from './inventory.js';
+import { getBankTransferHoldMinutes } from './paymentMethods.js';
+import { advanceOrderStatus } from './orderStatus.js';
+import { sendOrderCancelledEmail } from './emailService.js';
+import { notifyCustomer } from './notifications.js';
+
+const DEFAULT_UNPAID_ORDER_EXPIRY_HOURS = 24;
+
+// Payment statuses of orders still waiting to be paid
+export const UNPAID_PAYMENT_STATUSES = ['pending', 'failed', 'awaiting_transfer'];
+
+export function getUnpaidOrderExpiryMinutes() {
+  const hours = parseInt(process.env.UNPAID_ORDER_EXPIRY_HOURS) || DEFAULT_UNPAID_ORDER_EXPIRY_HOURS;
+  return hours * 60;
+}
+
+// When an unpaid order placed now should be cancelled. Pay-on-delivery
+// orders are already being fulfilled, so they never expire.
+export function getOrderExpiresAt(paymentMethod, from = new Date()) {
+  if (paymentMethod === 'cod') {
+    return null;
+  }
+
+  const minutes = paymentMethod === 'bank_transfer'
+    ? getBankTransferHoldMinutes()
+    : getUnpaidOrderExpiryMinutes();
+
+  return new Date(from.getTime() + minutes * 60 * 1000).toISOString();
+}
+
+// Orders from before expires_at existed fall back to their creation time
+export function isOrderExpired(order, now = new Date()) {
+  if (order.payment_status === 'expired') {
+    return true;
+  }
+
+  if (!UNPAID_PAYMENT_STATUSES.includes(order.payment_status)) {
+    return false;
+  }
+
+  const expiresAt = order.expires_at
+    || getOrderExpiresAt(order.payment_method || 'online', new Date(order.created_at));
+
+  return expiresAt !== null && new Date(expiresAt) <= now;
+}
+
+// Cancel an unpaid order and give back its stock. Orders paid or cancelled
+// in the meantime are left alone, so the customer is only told once.
+export async function expireOrder(order) {
+  const { data: unpaidOrder, error } = await supabaseAdmin
+    .from('orders')
+    .update({ payment_status: 'expired' })
+    .eq('id', order.id)
+    .in('payment_status', UNPAID_PAYMENT_STATUSES)
+    .neq('order_status', 'cancelled')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!unpaidOrder) {
+    return { status: 'ignored', order };
+  }
+
+  const expiredOrder = await advanceOrderStatus(unpaidOrder, 'cancelled', { note: 'Unpaid order expired' });
+
+  try {
+    await releaseStock(order.id);
+  } catch (stockError) {
+    console.error(`⚠️ Failed to release stock for order ${order.id}:`, stockError);
+  }
+
+  await notifyCustomer(expiredOrder.user_id, (email, name) =>
+    sendOrderCancelledEmail(expiredOrder, email, name, {
+      reason: 'We did not receive payment in time'
+    })
+  );
+
+  return { status: 'expired', order: expiredOrder };
+}
+
+// Unpaid orders past their expiry that have not been expired yet
+export async function findExpiredOrders({ limit } = {}) {
+  const now = new Date().toISOString();
+  const legacyCutoff = new Date(Date.now() - getUnpaidOrderExpiryMinutes() * 60 * 1000).toISOString();
+
+  let query = supabaseAdmin
+    .from('orders')
+    .select('*')
+    .in('payment_status', UNPAID_PAYMENT_STATUSES)
+    .neq('order_status', 'cancelled')
+    .or(`expires_at.lte.${now},and(expires_at.is.null,created_at.lte.${legacyCutoff})`)
+    .order('created_at', { ascending: true });
+
+  if (limit) {
+    query = query.limit(limit);
+  }
+
+  const { data: orders, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  // Legacy bank transfers are held longer than the default window
+  return (orders || []).filter(order => isOrderExpired(order));
+}
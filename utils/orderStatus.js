@@ -0,0 +1,124 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { createHttpError } from './helpers.js';
+
+export const ORDER_STATUSES = ['pending', 'payment_failed', 'processing', 'shipped', 'delivered', 'cancelled'];
+
+// The only moves an order can make. Cancelled orders can come back to
+// processing when a payment for them still arrives.
+export const ORDER_STATUS_TRANSITIONS = {
+  pending: ['payment_failed', 'processing', 'cancelled'],
+  payment_failed: ['pending', 'processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: ['processing']
+};
+
+// Orders are only fulfilled once paid, or when they are paid on delivery
+const FULFILMENT_STATUSES = ['processing', 'shipped', 'delivered'];
+const FULFILLABLE_PAYMENT_STATUSES = ['success', 'partially_refunded', 'pay_on_delivery'];
+
+// Moves only a settled payment may make: settlePayment takes the order's
+// stock back on the way, so admins cannot make them by hand
+const PAYMENT_ONLY_TRANSITIONS = {
+  cancelled: ['processing']
+};
+
+export function isPaymentOnlyTransition(from, to) {
+  return (PAYMENT_ONLY_TRANSITIONS[from] || []).includes(to);
+}
+
+export function canTransition(from, to) {
+  return (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+// Throws an HTTP error explaining why the order cannot move to `to`
+export function assertTransition(order, to) {
+  if (!ORDER_STATUSES.includes(to)) {
+    throw createHttpError(`Invalid order status: ${to}`, 400);
+  }
+
+  if (!canTransition(order.order_status, to)) {
+    throw createHttpError(`Cannot change order status from ${order.order_status} to ${to}`, 409);
+  }
+
+  if (FULFILMENT_STATUSES.includes(to) && !FULFILLABLE_PAYMENT_STATUSES.includes(order.payment_status)) {
+    throw createHttpError(`Order cannot be ${to === 'processing' ? 'processed' : to} before it is paid`, 409);
+  }
+}
+
+export async function recordStatusChange(orderId, { from = null, to, changedBy = null, note = null }) {
+  const { error } = await supabaseAdmin
+    .from('order_status_history')
+    .insert([{
+      order_id: orderId,
+      from_status: from,
+      to_status: to,
+      changed_by: changedBy,
+      note
+    }]);
+
+  if (error) {
+    console.error(`⚠️ Failed to record status change for order ${orderId}:`, error);
+  }
+}
+
+/**
+ * Move an order to a new status and record it in the history.
+ * The update only applies if the order is still in the status it was read
+ * with, so concurrent changes cannot skip the transition rules.
+ * `updates` are written in the same update. Resolves to the updated order.
+ */
+export async function changeOrderStatus(order, to, { changedBy = null, note = null, updates = {} } = {}) {
+  assertTransition(order, to);
+
+  const { data: updatedOrder, error } = await supabaseAdmin
+    .from('orders')
+    .update({ ...updates, order_status: to })
+    .eq('id', order.id)
+    .eq('order_status', order.order_status)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!updatedOrder) {
+    throw createHttpError('Order status was changed by someone else. Please try again.', 409);
+  }
+
+  await recordStatusChange(order.id, { from: order.order_status, to, changedBy, note });
+
+  return updatedOrder;
+}
+
+// Best-effort status change that follows another update (payment, expiry,
+// retry). Orders that cannot make the move (e.g. already shipped) are left as
+// they are, and losing a race only means someone else moved the order on.
+export async function advanceOrderStatus(order, to, { changedBy = null, note = null } = {}) {
+  if (order.order_status === to || !canTransition(order.order_status, to)) {
+    return order;
+  }
+
+  try {
+    return await changeOrderStatus(order, to, { changedBy, note });
+  } catch (error) {
+    console.warn(`⚠️ Could not move order ${order.id} to ${to}:`, error.message);
+    return order;
+  }
+}
+
+export async function getStatusHistory(orderId) {
+  const { data: history, error } = await supabaseAdmin
+    .from('order_status_history')
+    .select('id, from_status, to_status, changed_by, note, created_at')
+    .eq('order_id', orderId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return history || [];
+}
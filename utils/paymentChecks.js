@@ -0,0 +1,74 @@
+import { supabaseAdmin } from '../config/supabase.js';
+
+export const STORE_CURRENCY = 'NGN';
+
+// Compare what the gateway says was charged (in kobo) with the order total.
+// Resolves to { ok: true } or { ok: false, reason, expected, received, currency }
+export function checkChargeAmount(order, { amount, currency }) {
+  const expected = Math.round(parseFloat(order.total) * 100);
+  const received = Number(amount);
+  const chargeCurrency = (currency || '').toUpperCase();
+
+  if (chargeCurrency !== STORE_CURRENCY) {
+    return {
+      ok: false,
+      reason: `Currency mismatch: expected ${STORE_CURRENCY}, received ${chargeCurrency || 'none'}`,
+      expected,
+      received,
+      currency: chargeCurrency
+    };
+  }
+
+  if (!Number.isFinite(received) || received < expected) {
+    return {
+      ok: false,
+      reason: `Underpayment: expected ${expected} kobo, received ${received} kobo`,
+      expected,
+      received,
+      currency: chargeCurrency
+    };
+  }
+
+  if (received > expected) {
+    return {
+      ok: false,
+      reason: `Amount mismatch: expected ${expected} kobo, received ${received} kobo`,
+      expected,
+      received,
+      currency: chargeCurrency
+    };
+  }
+
+  return { ok: true, expected, received, currency: chargeCurrency };
+}
+
+// Payment statuses a charge can be held for review from: orders that are not
+// yet paid. Paid and refunded orders are never overwritten.
+const REVIEWABLE_PAYMENT_STATUSES = ['pending', 'failed', 'expired', 'awaiting_transfer', 'pay_on_delivery', 'under_review'];
+
+// Hold a payment that did not match its order for manual review instead of
+// fulfilling it. `fromStatuses` lists the payment statuses the order may be
+// in. Resolves to the flagged order, or null when the order had moved on.
+export async function flagPaymentForReview(order, check, reference, { fromStatuses = REVIEWABLE_PAYMENT_STATUSES } = {}) {
+  console.warn(`🚩 Payment for order ${order.id} flagged for review: ${check.reason}`);
+
+  const { data: flaggedOrder, error } = await supabaseAdmin
+    .from('orders')
+    .update({
+      payment_status: 'under_review',
+      payment_reference: reference,
+      paid_amount: Number.isFinite(check.received) ? check.received / 100 : null,
+      paid_currency: check.currency || null,
+      payment_review_reason: check.reason
+    })
+    .eq('id', order.id)
+    .in('payment_status', fromStatuses)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return flaggedOrder;
+}
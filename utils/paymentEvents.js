@@ -0,0 +1,122 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { settlePayment, failPayment } from './paymentSettlement.js';
+import { completeRefund, failRefund, findRefundForEvent } from './refunds.js';
+import { createHttpError } from './helpers.js';
+
+// Charges carry the order id in their metadata; fall back to the payment
+// reference for gateways that do not echo metadata back in webhooks
+const findOrder = async ({ metadata, reference }) => {
+  let query = supabaseAdmin.from('orders').select('*');
+
+  query = metadata?.order_id
+    ? query.eq('id', metadata.order_id)
+    : query.eq('payment_reference', reference);
+
+  const { data: order, error } = await query.maybeSingle();
+
+  if (error || !order) {
+    console.error('❌ Order not found:', error);
+    throw createHttpError('Order not found', 404);
+  }
+
+  return order;
+};
+
+const handleChargeSuccess = async (data) => {
+  const { reference, metadata, amount, currency } = data;
+
+  console.log('✅ Payment successful:', {
+    reference,
+    order_id: metadata?.order_id,
+    amount: amount / 100
+  });
+
+  if (!metadata?.order_id && !reference) {
+    return { message: 'No order metadata on charge' };
+  }
+
+  const order = await findOrder(data);
+  const settlement = await settlePayment(order, { reference, amount, currency });
+
+  const messages = {
+    settled: 'Payment processed successfully',
+    already_settled: 'Payment already processed',
+    flagged: 'Payment flagged for review'
+  };
+
+  return {
+    message: messages[settlement.status],
+    order_id: order.id,
+    ...(settlement.reason && { reason: settlement.reason })
+  };
+};
+
+const handleChargeFailed = async (data) => {
+  const { reference, metadata } = data;
+
+  console.log('❌ Payment failed:', {
+    reference,
+    order_id: metadata?.order_id
+  });
+
+  if (!metadata?.order_id && !reference) {
+    return { message: 'No order metadata on charge' };
+  }
+
+  const order = await findOrder(data);
+  const result = await failPayment(order, { reference });
+
+  if (result.status === 'ignored') {
+    console.log(`📝 Failure ignored for order ${order.id} (payment status: ${order.payment_status})`);
+    return { message: 'Order is no longer awaiting payment', order_id: order.id };
+  }
+
+  console.log('📝 Order marked as failed:', order.id);
+
+  return {
+    message: 'Payment failure recorded',
+    order_id: order.id
+  };
+};
+
+const handleRefundEvent = async (data, processed) => {
+  console.log(`💸 Refund ${processed ? 'processed' : 'failed'}:`, {
+    refund_id: data.id,
+    transaction_reference: data.transaction_reference
+  });
+
+  const refund = await findRefundForEvent(data);
+
+  if (!refund) {
+    throw createHttpError('Refund not found', 404);
+  }
+
+  const updatedRefund = processed
+    ? await completeRefund(refund)
+    : await failRefund(refund, data.reason || data.status || null);
+
+  return {
+    message: `Refund ${updatedRefund.status}`,
+    refund_id: updatedRefund.id,
+    order_id: updatedRefund.order_id
+  };
+};
+
+const handlers = {
+  'charge.success': handleChargeSuccess,
+  'charge.failed': handleChargeFailed,
+  'refund.processed': (data) => handleRefundEvent(data, true),
+  'refund.failed': (data) => handleRefundEvent(data, false)
+};
+
+// Apply a signature-verified payment event. Events use Paystack's shape
+// whichever provider sent them. Throws with a `status` on failure.
+export async function handlePaymentEvent(event) {
+  const handler = handlers[event.event];
+
+  if (!handler) {
+    return { message: `Ignored event ${event.event}` };
+  }
+
+  return handler(event.data);
+}
@@ -0,0 +1,28 @@
+export const PAYMENT_METHODS = ['online', 'cod', 'bank_transfer'];
+
+// Where each method starts out when the order is created
+export const INITIAL_ORDER_STATE = {
+  online: { payment_status: 'pending', order_status: 'pending' },
+  cod: { payment_status: 'pay_on_delivery', order_status: 'processing' },
+  bank_transfer: { payment_status: 'awaiting_transfer', order_status: 'pending' }
+};
+
+const DEFAULT_BANK_TRANSFER_HOLD_HOURS = 48;
+
+// Bank transfers take longer than card payments, so their stock is held longer
+export function getBankTransferHoldMinutes() {
+  const hours = parseInt(process.env.BANK_TRANSFER_HOLD_HOURS) || DEFAULT_BANK_TRANSFER_HOLD_HOURS;
+  return hours * 60;
+}
+
+// Account details shown to customers paying by bank transfer
+export function getBankTransferDetails(order) {
+  return {
+    bank_name: process.env.BANK_TRANSFER_BANK_NAME || null,
+    account_name: process.env.BANK_TRANSFER_ACCOUNT_NAME || null,
+    account_number: process.env.BANK_TRANSFER_ACCOUNT_NUMBER || null,
+    amount: order.total,
+    // Customers put this in the transfer narration so admins can match it
+    narration: `ORDER-${order.id.slice(0, 8).toUpperCase()}`
+  };
+}
@@ -0,0 +1,123 @@
+import crypto from 'crypto';
+
+// In-process stand-in for a payment gateway, for development and automated
+// tests. Transactions live in memory; webhooks are produced on demand with
+// simulateWebhook() and signed so they go through the normal webhook path.
+
+const transactions = new Map();
+
+const getSecret = () => process.env.FAKE_PAYMENT_SECRET || 'fake-payment-secret';
+
+const sign = (rawBody) => crypto.createHmac('sha512', getSecret()).update(rawBody).digest('hex');
+
+const notFound = (reference) => Object.assign(
+  new Error(`Transaction ${reference} not found`),
+  { response: { data: { status: false, message: 'Transaction reference not found' } } }
+);
+
+const fakeProvider = {
+  name: 'fake',
+
+  async initializeTransaction({ email, amount, reference, metadata }) {
+    transactions.set(reference, {
+      id: crypto.randomUUID(),
+      reference,
+      email,
+      amount: Math.round(amount * 100),
+      currency: 'NGN',
+      status: 'pending',
+      metadata
+    });
+
+    const baseUrl = process.env.BACKEND_URL || 'http://localhost:5000';
+
+    return {
+      reference,
+      authorization_url: `${baseUrl}/api/payments/fake/transactions/${reference}`,
+      access_code: `fake_${reference}`
+    };
+  },
+
+  async verifyTransaction(reference) {
+    const transaction = transactions.get(reference);
+
+    if (!transaction) {
+      throw notFound(reference);
+    }
+
+    return {
+      status: transaction.status,
+      reference,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      gateway_response: transaction.status === 'success' ? 'Approved' : 'Declined',
+      metadata: transaction.metadata
+    };
+  },
+
+  async refundTransaction({ reference, amount }) {
+    if (!transactions.has(reference)) {
+      throw notFound(reference);
+    }
+
+    return {
+      id: `fake_refund_${crypto.randomUUID()}`,
+      status: 'processed',
+      amount: Math.round(amount * 100)
+    };
+  },
+
+  verifyWebhookSignature(rawBody, requestHeaders) {
+    return sign(rawBody) === requestHeaders['x-fake-signature'];
+  },
+
+  parseWebhookEvent(rawBody) {
+    return JSON.parse(rawBody);
+  },
+
+  getTransaction(reference) {
+    return transactions.get(reference) || null;
+  },
+
+  /**
+   * Settle a pending transaction and build the signed webhook the gateway
+   * would send. `amount` (kobo) and `currency` can be overridden to test
+   * mismatched charges. Resolves to { rawBody, headers }.
+   */
+  simulateWebhook(reference, { outcome = 'success', amount, currency } = {}) {
+    const transaction = transactions.get(reference);
+
+    if (!transaction) {
+      throw notFound(reference);
+    }
+
+    transaction.status = outcome === 'success' ? 'success' : 'failed';
+    if (amount != null) transaction.amount = Number(amount);
+    if (currency) transaction.currency = currency;
+
+    const event = {
+      event: outcome === 'success' ? 'charge.success' : 'charge.failed',
+      data: {
+        id: transaction.id,
+        status: transaction.status,
+        reference,
+        amount: transaction.amount,
+        currency: transaction.currency,
+        metadata: transaction.metadata
+      }
+    };
+
+    const rawBody = Buffer.from(JSON.stringify(event));
+
+    return {
+      rawBody,
+      headers: { 'x-fake-signature': sign(rawBody) }
+    };
+  },
+
+  reset() {
+    transactions.clear();
+  }
+};
+
+export default fakeProvider;
@@ -0,0 +1,131 @@
+import axios from 'axios';
+import crypto from 'crypto';
+
+const FLUTTERWAVE_API = 'https://api.flutterwave.com/v3';
+
+const headers = () => ({
+  Authorization: `Bearer ${process.env.FLUTTERWAVE_SECRET_KEY}`,
+  'Content-Type': 'application/json'
+});
+
+// Flutterwave reports 'successful'; the rest of the app speaks Paystack's 'success'
+const normalizeStatus = (status) => (status === 'successful' ? 'success' : status);
+
+// Flutterwave amounts are in naira; internally charges are compared in kobo
+const toKobo = (amount) => Math.round(Number(amount) * 100);
+
+const findTransaction = async (reference) => {
+  const response = await axios.get(
+    `${FLUTTERWAVE_API}/transactions/verify_by_reference`,
+    { headers: headers(), params: { tx_ref: reference } }
+  );
+
+  return response.data.data;
+};
+
+const flutterwaveProvider = {
+  name: 'flutterwave',
+
+  async initializeTransaction({ email, amount, reference, callbackUrl, metadata }) {
+    const response = await axios.post(
+      `${FLUTTERWAVE_API}/payments`,
+      {
+        tx_ref: reference,
+        amount,
+        currency: 'NGN',
+        redirect_url: callbackUrl,
+        customer: { email },
+        meta: {
+          order_id: metadata?.order_id,
+          user_id: metadata?.user_id
+        }
+      },
+      { headers: headers() }
+    );
+
+    return {
+      reference,
+      authorization_url: response.data.data.link,
+      access_code: null
+    };
+  },
+
+  async verifyTransaction(reference) {
+    const data = await findTransaction(reference);
+
+    return {
+      status: normalizeStatus(data.status),
+      reference: data.tx_ref,
+      amount: toKobo(data.amount),
+      currency: data.currency,
+      gateway_response: data.processor_response,
+      metadata: data.meta
+    };
+  },
+
+  // Flutterwave refunds by transaction id, so resolve it from our reference first
+  async refundTransaction({ reference, amount }) {
+    const transaction = await findTransaction(reference);
+
+    const response = await axios.post(
+      `${FLUTTERWAVE_API}/transactions/${transaction.id}/refund`,
+      { amount },
+      { headers: headers() }
+    );
+
+    const { data } = response.data;
+
+    return {
+      id: String(data.id),
+      status: data.status === 'completed' ? 'processed' : 'pending'
+    };
+  },
+
+  // Flutterwave sends the secret hash configured on the dashboard in verif-hash
+  verifyWebhookSignature(rawBody, requestHeaders) {
+    const expected = process.env.FLUTTERWAVE_SECRET_HASH;
+    const received = requestHeaders['verif-hash'];
+
+    if (!expected || !received || expected.length !== received.length) {
+      return false;
+    }
+
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+  },
+
+  // Map Flutterwave events onto the Paystack-shaped events the handlers expect
+  parseWebhookEvent(rawBody) {
+    const payload = JSON.parse(rawBody);
+    const data = payload.data || {};
+
+    if (payload.event === 'charge.completed') {
+      return {
+        event: data.status === 'successful' ? 'charge.success' : 'charge.failed',
+        data: {
+          id: data.id,
+          status: normalizeStatus(data.status),
+          reference: data.tx_ref,
+          amount: toKobo(data.amount),
+          currency: data.currency,
+          metadata: payload.meta_data || data.meta || null
+        }
+      };
+    }
+
+    if (payload.event === 'refund.completed' || payload.event === 'refund.failed') {
+      return {
+        event: payload.event === 'refund.completed' ? 'refund.processed' : 'refund.failed',
+        data: {
+          id: data.id,
+          status: data.status,
+          amount: toKobo(data.amount_refunded ?? data.AmountRefunded ?? 0),
+          transaction_reference: data.tx_ref || null
+        }
+      };
+    }
+
+    return payload;
+  }
+};
+
+export default flutterwaveProvider;
@@ -0,0 +1,49 @@
+import paystackProvider from './paystack.js';
+import flutterwaveProvider from './flutterwave.js';
+import fakeProvider from './fake.js';
+
+/**
+ * Payment providers share one interface:
+ *  - initializeTransaction({ email, amount, reference, callbackUrl, metadata })
+ *      -> { reference, authorization_url, access_code }   (amount in naira)
+ *  - verifyTransaction(reference)
+ *      -> { status, reference, amount, currency, gateway_response, metadata }   (amount in kobo)
+ *  - refundTransaction({ reference, amount, note }) -> { id, status }   (amount in naira)
+ *  - verifyWebhookSignature(rawBody, headers) -> boolean
+ *  - parseWebhookEvent(rawBody) -> event shaped like a Paystack event
+ */
+const providers = {
+  paystack: paystackProvider,
+  flutterwave: flutterwaveProvider,
+  fake: fakeProvider
+};
+
+const isConfigured = {
+  paystack: () => Boolean(process.env.PAYSTACK_SECRET_KEY),
+  flutterwave: () => Boolean(process.env.FLUTTERWAVE_SECRET_KEY),
+  fake: () => getPaymentProviderName() === 'fake' && process.env.NODE_ENV !== 'production'
+};
+
+// Default gateway for new payments
+export function getPaymentProviderName() {
+  return (process.env.PAYMENT_PROVIDER || 'paystack').toLowerCase();
+}
+
+// Gateways a customer may pick at checkout
+export function getAvailablePaymentProviders() {
+  return Object.keys(providers).filter(name => isConfigured[name]());
+}
+
+export function getPaymentProvider(name = getPaymentProviderName()) {
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+
+  if (provider === fakeProvider && process.env.NODE_ENV === 'production') {
+    throw new Error('The fake payment provider cannot be used in production');
+  }
+
+  return provider;
+}
@@ -0,0 +1,90 @@
+import axios from 'axios';
+import crypto from 'crypto';
+
+const PAYSTACK_API = 'https://api.paystack.co';
+
+const headers = () => ({
+  Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
+  'Content-Type': 'application/json'
+});
+
+const paystackProvider = {
+  name: 'paystack',
+
+  // amount is in naira; Paystack expects kobo
+  async initializeTransaction({ email, amount, reference, callbackUrl, metadata }) {
+    const response = await axios.post(
+      `${PAYSTACK_API}/transaction/initialize`,
+      {
+        email,
+        amount: Math.round(amount * 100), // Convert to kobo
+        reference,
+        callback_url: callbackUrl,
+        metadata
+      },
+      { headers: headers() }
+    );
+
+    const { data } = response.data;
+
+    return {
+      reference: data.reference,
+      authorization_url: data.authorization_url,
+      access_code: data.access_code
+    };
+  },
+
+  // Resolves to the transaction with its amount in kobo
+  async verifyTransaction(reference) {
+    const response = await axios.get(
+      `${PAYSTACK_API}/transaction/verify/${encodeURIComponent(reference)}`,
+      { headers: headers() }
+    );
+
+    const { data } = response.data;
+
+    return {
+      status: data.status,
+      reference: data.reference,
+      amount: data.amount,
+      currency: data.currency,
+      gateway_response: data.gateway_response,
+      metadata: data.metadata
+    };
+  },
+
+  async refundTransaction({ reference, amount, note }) {
+    const response = await axios.post(
+      `${PAYSTACK_API}/refund`,
+      {
+        transaction: reference,
+        amount: Math.round(amount * 100), // Convert to kobo
+        merchant_note: note || undefined
+      },
+      { headers: headers() }
+    );
+
+    const { data } = response.data;
+
+    return {
+      id: String(data.id),
+      status: data.status
+    };
+  },
+
+  verifyWebhookSignature(rawBody, requestHeaders) {
+    const hash = crypto
+      .createHmac('sha512', process.env.PAYSTACK_SECRET_KEY)
+      .update(rawBody)
+      .digest('hex');
+
+    return hash === requestHeaders['x-paystack-signature'];
+  },
+
+  // Paystack events are already in the shape the event handlers expect
+  parseWebhookEvent(rawBody) {
+    return JSON.parse(rawBody);
+  }
+};
+
+export default paystackProvider;
@@ -0,0 +1,187 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { redeemDiscount } from './discounts.js';
+import { commitStock, releaseStock } from './inventory.js';
+import { checkChargeAmount, flagPaymentForReview } from './paymentChecks.js';
+import { sendPaymentReceivedEmail, sendPaymentFailedEmail } from './emailService.js';
+import { notifyCustomer } from './notifications.js';
+import { advanceOrderStatus } from './orderStatus.js';
+
+// Payment statuses an order can still move to 'success' from. A late payment
+// for an expired order is still honoured.
+const SETTLEABLE_PAYMENT_STATUSES = ['pending', 'failed', 'under_review', 'pay_on_delivery', 'awaiting_transfer', 'expired'];
+
+// Hold a charge for review. An order that has moved on in the meantime (paid,
+// refunded) is left as it is.
+const holdForReview = async (order, check, reference, options) => {
+  const flaggedOrder = await flagPaymentForReview(order, check, reference, options);
+
+  if (!flaggedOrder) {
+    console.warn(`⚠️ Charge ${reference} for order ${order.id} not held for review; the order is already ${order.payment_status}`);
+    const { data: currentOrder } = await supabaseAdmin
+      .from('orders')
+      .select('*')
+      .eq('id', order.id)
+      .single();
+
+    return { status: 'already_settled', order: currentOrder || order };
+  }
+
+  return { status: 'flagged', order: flaggedOrder, reason: check.reason };
+};
+
+/**
+ * Settle a successful charge against its order. Used by the webhook, manual
+ * verification and retry-payment so that whichever path runs first, the
+ * outcome is the same:
+ *  - charges that do not match the order, orders paid after their stock
+ *    has sold out and orders whose discount code ran out of uses are held
+ *    for review
+ *  - only the caller that moves the order to 'success' commits the stock,
+ *    redeems the discount, clears the cart and sends notifications
+ *
+ * Offline payments pass clearCart: false, as their cart was cleared at checkout.
+ *
+ * Resolves to { status: 'settled' | 'already_settled' | 'flagged', order, reason? }
+ */
+export async function settlePayment(order, { reference, amount, currency }, { clearCart = true } = {}) {
+  const amountCheck = checkChargeAmount(order, { amount, currency });
+  if (!amountCheck.ok) {
+    if (order.payment_status === 'success') {
+      console.warn(`⚠️ Mismatched charge ${reference} for already paid order ${order.id}: ${amountCheck.reason}`);
+      return { status: 'already_settled', order };
+    }
+
+    return holdForReview(order, amountCheck, reference);
+  }
+
+  // Conditional update: only one caller can win the transition
+  const { data: paidOrder, error: updateError } = await supabaseAdmin
+    .from('orders')
+    .update({
+      payment_status: 'success',
+      payment_reference: reference,
+      paid_amount: amountCheck.received / 100,
+      paid_currency: amountCheck.currency,
+      payment_review_reason: null
+    })
+    .eq('id', order.id)
+    .in('payment_status', SETTLEABLE_PAYMENT_STATUSES)
+    .select()
+    .maybeSingle();
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  if (!paidOrder) {
+    const { data: currentOrder } = await supabaseAdmin
+      .from('orders')
+      .select('*')
+      .eq('id', order.id)
+      .single();
+
+    return { status: 'already_settled', order: currentOrder || order };
+  }
+
+  // Turn the stock hold taken at checkout into a sale
+  let shortfall = 0;
+  try {
+    ({ shortfall } = await commitStock(paidOrder));
+  } catch (stockError) {
+    console.error(`⚠️ Failed to commit stock for order ${paidOrder.id}:`, stockError);
+  }
+
+  // Paid after its hold lapsed and the stock has since sold: an admin decides
+  // whether to restock or refund
+  if (shortfall > 0) {
+    const reason = `Paid after the stock hold lapsed; ${shortfall} item(s) are out of stock`;
+    return holdForReview(paidOrder, { ...amountCheck, reason }, reference, { fromStatuses: ['success'] });
+  }
+
+  // Count the discount redemption now that payment is confirmed. An order
+  // paid after its code ran out of uses is held for review.
+  if (paidOrder.discount_code) {
+    let redemption = null;
+    try {
+      redemption = await redeemDiscount(paidOrder);
+    } catch (redeemError) {
+      console.error(`⚠️ Failed to redeem discount ${paidOrder.discount_code}:`, redeemError);
+    }
+
+    if (redemption === 'limit_reached') {
+      const reason = `Discount code ${paidOrder.discount_code} reached its usage limit before this order was paid`;
+      return holdForReview(paidOrder, { ...amountCheck, reason }, reference, { fromStatuses: ['success'] });
+    }
+  }
+
+  // Orders that are not yet being fulfilled move on to processing
+  const settledOrder = await advanceOrderStatus(paidOrder, 'processing', { note: 'Payment received' });
+
+  console.log('✅ Order settled:', settledOrder.id);
+
+  if (clearCart) {
+    const { error: cartError } = await supabaseAdmin
+      .from('cart')
+      .delete()
+      .eq('user_id', settledOrder.user_id);
+
+    if (cartError) {
+      console.error('⚠️ Failed to clear cart:', cartError);
+    }
+  }
+
+  await notifyCustomer(settledOrder.user_id, (email, name) =>
+    sendPaymentReceivedEmail(settledOrder, email, name)
+  );
+
+  return { status: 'settled', order: settledOrder };
+}
+
+// Record cash or a bank transfer an admin has received for an offline order
+export async function confirmOfflinePayment(order, { amountReceived, reference }) {
+  return settlePayment(
+    order,
+    {
+      reference: reference || order.payment_reference || `${order.payment_method}_${order.id}`,
+      amount: Math.round(Number(amountReceived) * 100),
+      currency: 'NGN'
+    },
+    { clearCart: false }
+  );
+}
+
+// Record a failed charge. The order stays open so the customer can retry
+// until it expires; only its stock hold is given back. Orders that were
+// already paid are left alone.
+export async function failPayment(order, { reference }) {
+  const { data: unpaidOrder, error } = await supabaseAdmin
+    .from('orders')
+    .update({
+      payment_status: 'failed',
+      payment_reference: reference
+    })
+    .eq('id', order.id)
+    .in('payment_status', ['pending', 'failed'])
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!unpaidOrder) {
+    return { status: 'ignored', order };
+  }
+
+  try {
+    await releaseStock(order.id);
+  } catch (stockError) {
+    console.error(`⚠️ Failed to release stock for order ${order.id}:`, stockError);
+  }
+
+  await notifyCustomer(unpaidOrder.user_id, (email, name) =>
+    sendPaymentFailedEmail(unpaidOrder, email, name)
+  );
+
+  return { status: 'failed', order: unpaidOrder };
+}
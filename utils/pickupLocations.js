@@ -0,0 +1,101 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { createHttpError } from './helpers.js';
+import { getStateKey, getLgaKey } from './delivery.js';
+
+const PICKUP_COLUMNS = 'id, name, address, city, state, phone, opening_hours, ready_in_days, is_active';
+
+// Active pickup locations, optionally only those in one state
+export async function listPickupLocations({ state = null, includeInactive = false } = {}) {
+  let query = supabaseAdmin
+    .from('pickup_locations')
+    .select(PICKUP_COLUMNS)
+    .order('name', { ascending: true });
+
+  if (state) {
+    query = query.eq('state', getStateKey(state));
+  }
+
+  if (!includeInactive) {
+    query = query.eq('is_active', true);
+  }
+
+  const { data: locations, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  return locations || [];
+}
+
+export async function getPickupLocation(id) {
+  const { data: location, error } = await supabaseAdmin
+    .from('pickup_locations')
+    .select(PICKUP_COLUMNS)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!location) {
+    throw createHttpError('Pickup location not found', 404);
+  }
+
+  return location;
+}
+
+// The city must be an LGA of the location's state (the new one, or the stored one)
+const normalizeFields = (fields, existing = {}) => {
+  const normalized = { ...fields };
+  const state = fields.state ?? existing.state;
+
+  if (fields.state !== undefined) {
+    normalized.state = getStateKey(fields.state);
+    if (!normalized.state) {
+      throw createHttpError('Invalid Nigerian state', 400);
+    }
+  }
+
+  const city = fields.city ?? (fields.state !== undefined ? existing.city : undefined);
+  if (city !== undefined) {
+    normalized.city = getLgaKey(state, city);
+    if (!normalized.city) {
+      throw createHttpError(`"${city}" is not a local government area of ${state}`, 400);
+    }
+  }
+
+  return normalized;
+};
+
+export async function createPickupLocation(fields) {
+  const { data: location, error } = await supabaseAdmin
+    .from('pickup_locations')
+    .insert([normalizeFields(fields)])
+    .select(PICKUP_COLUMNS)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return location;
+}
+
+export async function updatePickupLocation(id, fields) {
+  const existing = await getPickupLocation(id);
+
+  const { data: location, error } = await supabaseAdmin
+    .from('pickup_locations')
+    .update({ ...normalizeFields(fields, existing), updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select(PICKUP_COLUMNS)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return location;
+}
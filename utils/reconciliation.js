@@ -0,0 +1,211 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { getPaymentProvider } from './paymentProviders/index.js';
+import { settlePayment, failPayment } from './paymentSettlement.js';
+import { isOrderExpired, expireOrder, findExpiredOrders } from './orderExpiry.js';
+
+const DEFAULT_RECONCILE_AFTER_MINUTES = 15;
+const DEFAULT_RECONCILE_INTERVAL_MINUTES = 10;
+const DEFAULT_RECONCILE_BATCH_SIZE = 50;
+
+let runInProgress = false;
+
+export function getReconcileAfterMinutes() {
+  return parseInt(process.env.RECONCILE_AFTER_MINUTES) || DEFAULT_RECONCILE_AFTER_MINUTES;
+}
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+// The provider answered but does not know the reference (as opposed to being unreachable)
+const isUnknownReference = (error) => {
+  if (!error.response) return false;
+  const { status } = error.response;
+  return !(status >= 500) && ![401, 403, 429].includes(status);
+};
+
+const getBatchSize = () => parseInt(process.env.RECONCILE_BATCH_SIZE) || DEFAULT_RECONCILE_BATCH_SIZE;
+
+const findStaleOrders = async () => {
+  const cutoff = minutesAgo(getReconcileAfterMinutes());
+
+  const { data: orders, error } = await supabaseAdmin
+    .from('orders')
+    .select('*')
+    .eq('payment_status', 'pending')
+    .eq('payment_method', 'online')
+    .not('payment_reference', 'is', null)
+    .or(`payment_initialized_at.lt.${cutoff},and(payment_initialized_at.is.null,created_at.lt.${cutoff})`)
+    .order('created_at', { ascending: true })
+    .limit(getBatchSize());
+
+  if (error) {
+    throw error;
+  }
+
+  return orders || [];
+};
+
+const expire = async (order, base, detail) => {
+  const result = await expireOrder(order);
+  return { ...base, outcome: result.status === 'expired' ? 'expired' : 'unchanged', detail };
+};
+
+// Re-verify one order's reference and apply the same outcome a webhook would.
+// Orders past their expiry are only expired once the provider confirms they
+// were not paid.
+const reconcileOrder = async (order) => {
+  const reference = order.payment_reference;
+  const expired = isOrderExpired(order);
+  const base = { order_id: order.id, reference, provider: order.payment_provider };
+
+  if (!reference || order.payment_method !== 'online') {
+    return expired ? expire(order, base, 'Unpaid past expiry') : { ...base, outcome: 'unchanged', detail: null };
+  }
+
+  let transaction;
+  try {
+    transaction = await getPaymentProvider(order.payment_provider).verifyTransaction(reference);
+  } catch (error) {
+    if (isUnknownReference(error) && expired) {
+      return expire(order, base, 'Reference unknown to provider');
+    }
+
+    return {
+      ...base,
+      outcome: isUnknownReference(error) ? 'unchanged' : 'error',
+      detail: error.response?.data?.message || error.message
+    };
+  }
+
+  if (transaction.status === 'success') {
+    const settlement = await settlePayment(order, {
+      reference,
+      amount: transaction.amount,
+      currency: transaction.currency
+    });
+
+    const outcomes = { settled: 'settled', already_settled: 'unchanged', flagged: 'flagged' };
+    return { ...base, outcome: outcomes[settlement.status], detail: settlement.reason || null };
+  }
+
+  if (expired) {
+    return expire(order, base, transaction.gateway_response || transaction.status);
+  }
+
+  if (transaction.status === 'failed') {
+    const result = await failPayment(order, { reference });
+    return {
+      ...base,
+      outcome: result.status === 'failed' ? 'failed' : 'unchanged',
+      detail: transaction.gateway_response || transaction.status
+    };
+  }
+
+  return { ...base, outcome: 'unchanged', detail: transaction.status };
+};
+
+/**
+ * Re-verify pending online payments that never received a webhook, then
+ * expire unpaid orders past their expiry (see orderExpiry.js). Each run is
+ * recorded in reconciliation_runs with a per-order outcome: settled,
+ * flagged, failed, expired, unchanged or error.
+ * Resolves to the stored run, or null if another run is still going.
+ */
+export async function runReconciliation({ trigger = 'scheduled', triggeredBy = null } = {}) {
+  if (runInProgress) {
+    return null;
+  }
+
+  runInProgress = true;
+
+  try {
+    const { data: run, error: runError } = await supabaseAdmin
+      .from('reconciliation_runs')
+      .insert([{ trigger, triggered_by: triggeredBy, status: 'running' }])
+      .select()
+      .single();
+
+    if (runError) {
+      throw runError;
+    }
+
+    const results = [];
+    let failure = null;
+
+    try {
+      const staleOrders = await findStaleOrders();
+      const staleIds = new Set(staleOrders.map(order => order.id));
+      const expiredOrders = (await findExpiredOrders({ limit: getBatchSize() }))
+        .filter(order => !staleIds.has(order.id));
+      const orders = [...staleOrders, ...expiredOrders];
+
+      for (const order of orders) {
+        try {
+          results.push(await reconcileOrder(order));
+        } catch (error) {
+          console.error(`⚠️ Failed to reconcile order ${order.id}:`, error);
+          results.push({
+            order_id: order.id,
+            reference: order.payment_reference,
+            provider: order.payment_provider,
+            outcome: 'error',
+            detail: error.message
+          });
+        }
+      }
+    } catch (error) {
+      failure = error;
+    }
+
+    const count = (outcome) => results.filter(result => result.outcome === outcome).length;
+
+    const { data: finishedRun, error: finishError } = await supabaseAdmin
+      .from('reconciliation_runs')
+      .update({
+        status: failure ? 'failed' : 'completed',
+        checked: results.length,
+        settled: count('settled'),
+        flagged: count('flagged'),
+        failed: count('failed'),
+        expired: count('expired'),
+        unchanged: count('unchanged'),
+        errors: count('error'),
+        results,
+        error: failure?.message || null,
+        finished_at: new Date().toISOString()
+      })
+      .eq('id', run.id)
+      .select()
+      .single();
+
+    if (finishError) {
+      throw finishError;
+    }
+
+    if (failure) {
+      throw failure;
+    }
+
+    return finishedRun;
+  } finally {
+    runInProgress = false;
+  }
+}
+
+export function startReconciliationJob() {
+  const intervalMinutes = parseInt(process.env.RECONCILE_INTERVAL_MINUTES) || DEFAULT_RECONCILE_INTERVAL_MINUTES;
+
+  const reconcile = async () => {
+    try {
+      const run = await runReconciliation();
+      if (run?.checked > 0) {
+        console.log(`🔄 Reconciled ${run.checked} unpaid order(s): ${run.settled} settled, ${run.failed} failed, ${run.expired} expired`);
+      }
+    } catch (error) {
+      console.error('Payment reconciliation error:', error);
+    }
+  };
+
+  const timer = setInterval(reconcile, intervalMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,310 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { createHttpError } from './helpers.js';
+import { getPaymentProvider } from './paymentProviders/index.js';
+import { sendRefundEmail } from './emailService.js';
+import { notifyCustomer } from './notifications.js';
+
+// Payment statuses an order can be refunded from. Refunding an order under
+// review is how a payment that was not accepted is given back.
+const REFUNDABLE_PAYMENT_STATUSES = ['success', 'partially_refunded', 'under_review'];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const getPaidAmount = (order) => parseFloat(order.paid_amount ?? order.total) || 0;
+
+// Recompute refunded_amount and payment_status from the processed refunds
+export async function syncOrderRefundStatus(orderId) {
+  const { data: order, error: orderError } = await supabaseAdmin
+    .from('orders')
+    .select('*')
+    .eq('id', orderId)
+    .single();
+
+  if (orderError) {
+    throw orderError;
+  }
+
+  const { data: refunds, error } = await supabaseAdmin
+    .from('refunds')
+    .select('amount, status')
+    .eq('order_id', orderId)
+    .eq('status', 'processed');
+
+  if (error) {
+    throw error;
+  }
+
+  const refundedAmount = roundAmount(
+    (refunds || []).reduce((sum, refund) => sum + parseFloat(refund.amount), 0)
+  );
+
+  let paymentStatus = order.payment_status;
+  if (refundedAmount > 0) {
+    paymentStatus = refundedAmount >= getPaidAmount(order) ? 'refunded' : 'partially_refunded';
+  }
+
+  const { data: updatedOrder, error: updateError } = await supabaseAdmin
+    .from('orders')
+    .update({
+      refunded_amount: refundedAmount,
+      payment_status: paymentStatus
+    })
+    .eq('id', orderId)
+    .select()
+    .single();
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  return updatedOrder;
+}
+
+// Work out how much can be refunded and what goes back into stock.
+// `amount` defaults to everything not yet refunded; a full refund restocks
+// the whole order unless `restock` is false.
+const prepareRefund = async (order, { amount, items, restock }) => {
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.payment_status)) {
+    throw createHttpError('Only paid orders can be refunded', 400);
+  }
+
+  const { data: existingRefunds, error: refundsError } = await supabaseAdmin
+    .from('refunds')
+    .select('amount, status, items')
+    .eq('order_id', order.id)
+    .in('status', ['pending', 'processed']);
+
+  if (refundsError) {
+    throw refundsError;
+  }
+
+  const alreadyRefunded = (existingRefunds || [])
+    .reduce((sum, refund) => sum + parseFloat(refund.amount), 0);
+  const refundable = roundAmount(getPaidAmount(order) - alreadyRefunded);
+  const refundAmount = roundAmount(amount ?? refundable);
+
+  if (refundable <= 0) {
+    throw createHttpError('Order has already been fully refunded', 400);
+  }
+
+  if (refundAmount <= 0 || refundAmount > refundable) {
+    throw createHttpError(`Refund amount must be between 0 and ₦${refundable.toLocaleString('en-NG')}`, 400);
+  }
+
+  const orderItems = order.order_items || [];
+  let restockItems = [];
+
+  // Units earlier refunds already put back, per product
+  const restocked = {};
+  for (const refund of existingRefunds || []) {
+    for (const item of refund.items || []) {
+      restocked[item.product_id] = (restocked[item.product_id] || 0) + item.quantity;
+    }
+  }
+
+  if (items) {
+    for (const item of items) {
+      const orderItem = orderItems.find(entry => entry.product_id === item.product_id);
+      if (!orderItem || item.quantity > orderItem.quantity - (restocked[item.product_id] || 0)) {
+        throw createHttpError(`Invalid restock quantity for product ${item.product_id}`, 400);
+      }
+    }
+    restockItems = items;
+  } else if (restock && refundAmount === refundable && alreadyRefunded === 0) {
+    restockItems = orderItems.map(item => ({
+      product_id: item.product_id,
+      quantity: item.quantity
+    }));
+  }
+
+  return { refundAmount, restockItems };
+};
+
+/**
+ * Start a refund for a paid order through the payment provider.
+ * `items` lists what goes back into stock once the refund is processed.
+ */
+export async function createRefund(order, { amount, reason = '', items, restock = true, adminId = null } = {}) {
+  if (order.payment_method && order.payment_method !== 'online') {
+    throw createHttpError('Offline payments must be refunded outside the payment gateway', 400);
+  }
+
+  if (!order.payment_reference) {
+    throw createHttpError('Order has no payment reference to refund', 400);
+  }
+
+  const { refundAmount, restockItems } = await prepareRefund(order, { amount, items, restock });
+
+  // Record the refund first so the refund webhook can always be matched
+  const { data: refund, error: insertError } = await supabaseAdmin
+    .from('refunds')
+    .insert([{
+      order_id: order.id,
+      amount: refundAmount,
+      reason,
+      items: restockItems,
+      transaction_reference: order.payment_reference,
+      created_by: adminId,
+      status: 'pending'
+    }])
+    .select()
+    .single();
+
+  if (insertError) {
+    throw insertError;
+  }
+
+  try {
+    const providerRefund = await getPaymentProvider(order.payment_provider).refundTransaction({
+      reference: order.payment_reference,
+      amount: refundAmount,
+      note: reason
+    });
+
+    const { data: updatedRefund } = await supabaseAdmin
+      .from('refunds')
+      .update({ provider_refund_id: providerRefund.id })
+      .eq('id', refund.id)
+      .select()
+      .single();
+
+    if (providerRefund.status === 'processed') {
+      return completeRefund(updatedRefund || refund);
+    }
+
+    return updatedRefund || refund;
+  } catch (error) {
+    console.error('Provider refund error:', error.response?.data || error);
+
+    await supabaseAdmin
+      .from('refunds')
+      .update({
+        status: 'failed',
+        failure_reason: error.response?.data?.message || error.message
+      })
+      .eq('id', refund.id);
+
+    throw createHttpError(error.response?.data?.message || 'Refund request to payment provider failed', 502);
+  }
+}
+
+// Record money an admin has paid back outside the gateway (cash on delivery
+// and bank transfer orders). The refund is processed straight away.
+export async function recordManualRefund(order, { amount, reason = '', items, restock = true, adminId = null } = {}) {
+  const { refundAmount, restockItems } = await prepareRefund(order, { amount, items, restock });
+
+  const { data: refund, error } = await supabaseAdmin
+    .from('refunds')
+    .insert([{
+      order_id: order.id,
+      amount: refundAmount,
+      reason,
+      items: restockItems,
+      created_by: adminId,
+      status: 'pending'
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return completeRefund(refund);
+}
+
+// Mark a refund as processed, restock its items once and update the order
+export async function completeRefund(refund) {
+  const { data: processed, error } = await supabaseAdmin
+    .from('refunds')
+    .update({
+      status: 'processed',
+      processed_at: new Date().toISOString()
+    })
+    .eq('id', refund.id)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!processed) {
+    return refund;
+  }
+
+  const { error: restockError } = await supabaseAdmin.rpc('restock_refund', {
+    p_refund_id: processed.id
+  });
+
+  if (restockError) {
+    console.error(`⚠️ Failed to restock items for refund ${processed.id}:`, restockError);
+  }
+
+  const order = await syncOrderRefundStatus(processed.order_id);
+
+  await notifyCustomer(order.user_id, (email, name) =>
+    sendRefundEmail(order, processed, email, name)
+  );
+
+  return processed;
+}
+
+export async function failRefund(refund, failureReason = null) {
+  const { data: failed, error } = await supabaseAdmin
+    .from('refunds')
+    .update({
+      status: 'failed',
+      failure_reason: failureReason
+    })
+    .eq('id', refund.id)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return failed || refund;
+}
+
+// Find the refund a Paystack refund webhook refers to
+export async function findRefundForEvent(data) {
+  if (data.id != null) {
+    const { data: refund, error } = await supabaseAdmin
+      .from('refunds')
+      .select('*')
+      .eq('provider_refund_id', String(data.id))
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (refund) {
+      return refund;
+    }
+  }
+
+  if (!data.transaction_reference) {
+    return null;
+  }
+
+  // Fall back to the oldest pending refund for the transaction with this amount
+  const { data: refunds, error } = await supabaseAdmin
+    .from('refunds')
+    .select('*')
+    .eq('transaction_reference', data.transaction_reference)
+    .eq('status', 'pending')
+    .eq('amount', Number(data.amount) / 100)
+    .order('created_at', { ascending: true })
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  return refunds?.[0] || null;
+}
@@ -0,0 +1,176 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { createHttpError } from './helpers.js';
+import { uploadImage } from './uploads.js';
+import { createRefund, recordManualRefund } from './refunds.js';
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Open a return for one line item of a delivered order. Photos are multer
+ * files and are only uploaded once the request is known to be valid.
+ */
+export async function openReturn(order, { userId, productId, quantity, reason, details = '', photos = [] }) {
+  if (order.order_status !== 'delivered') {
+    throw createHttpError('Only delivered orders can be returned', 400);
+  }
+
+  const orderItem = (order.order_items || []).find(item => item.product_id === productId);
+  if (!orderItem) {
+    throw createHttpError('Product is not part of this order', 400);
+  }
+
+  const returnQuantity = quantity ?? orderItem.quantity;
+  if (returnQuantity < 1 || returnQuantity > orderItem.quantity) {
+    throw createHttpError(`Quantity must be between 1 and ${orderItem.quantity}`, 400);
+  }
+
+  const photoUrls = [];
+  for (const photo of photos) {
+    photoUrls.push(await uploadImage(photo, 'returns'));
+  }
+
+  const { data: returnRequest, error } = await supabaseAdmin
+    .from('return_requests')
+    .insert([{
+      order_id: order.id,
+      user_id: userId,
+      product_id: productId,
+      product_name: orderItem.product_name,
+      quantity: returnQuantity,
+      unit_price: orderItem.price,
+      reason,
+      details,
+      photos: photoUrls,
+      status: 'pending'
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      throw createHttpError('A return for this item is already open', 409);
+    }
+    throw error;
+  }
+
+  return returnRequest;
+}
+
+const getPendingReturn = async (returnId) => {
+  const { data: returnRequest, error } = await supabaseAdmin
+    .from('return_requests')
+    .select('*')
+    .eq('id', returnId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!returnRequest) {
+    throw createHttpError('Return request not found', 404);
+  }
+
+  if (returnRequest.status !== 'pending') {
+    throw createHttpError(`Return request is already ${returnRequest.status}`, 400);
+  }
+
+  return returnRequest;
+};
+
+// Put a claimed return back to pending after its refund failed
+const reopenReturn = async (id) => {
+  await supabaseAdmin
+    .from('return_requests')
+    .update({ status: 'pending', reviewed_by: null, reviewed_at: null })
+    .eq('id', id);
+};
+
+const closeReturn = async (returnRequest, updates) => {
+  const { data: closed, error } = await supabaseAdmin
+    .from('return_requests')
+    .update({
+      ...updates,
+      reviewed_at: new Date().toISOString()
+    })
+    .eq('id', returnRequest.id)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!closed) {
+    throw createHttpError('Return request was already reviewed', 409);
+  }
+
+  return closed;
+};
+
+/**
+ * Approve a return: refund the returned items (by default their price times
+ * the quantity) and, if `restock` is set, put them back into stock once the
+ * refund is processed. Damaged or expired goods are usually not resold.
+ * Offline payments are recorded as a manual refund.
+ * Resolves to { returnRequest, refund }
+ */
+export async function approveReturn(returnId, { adminId, amount, restock = false, note = null }) {
+  const returnRequest = await getPendingReturn(returnId);
+
+  const { data: order, error } = await supabaseAdmin
+    .from('orders')
+    .select('*')
+    .eq('id', returnRequest.order_id)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  // Claim the return first so two admins cannot both refund it
+  const claimed = await closeReturn(returnRequest, {
+    status: 'approved',
+    restock,
+    admin_note: note,
+    reviewed_by: adminId
+  });
+
+  const refundOptions = {
+    amount: amount ?? roundAmount(parseFloat(returnRequest.unit_price) * returnRequest.quantity),
+    reason: `Return of ${returnRequest.quantity} x ${returnRequest.product_name} (${returnRequest.reason})`,
+    items: restock ? [{ product_id: returnRequest.product_id, quantity: returnRequest.quantity }] : [],
+    restock,
+    adminId
+  };
+
+  let refund;
+  try {
+    refund = order.payment_method && order.payment_method !== 'online'
+      ? await recordManualRefund(order, refundOptions)
+      : await createRefund(order, refundOptions);
+  } catch (refundError) {
+    await reopenReturn(claimed.id);
+    throw refundError;
+  }
+
+  const { data: approved } = await supabaseAdmin
+    .from('return_requests')
+    .update({ refund_id: refund.id })
+    .eq('id', claimed.id)
+    .select()
+    .single();
+
+  return { returnRequest: approved || claimed, refund };
+}
+
+export async function rejectReturn(returnId, { adminId, note = null }) {
+  const returnRequest = await getPendingReturn(returnId);
+
+  return closeReturn(returnRequest, {
+    status: 'rejected',
+    admin_note: note,
+    reviewed_by: adminId
+  });
+}
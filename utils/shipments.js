@@ -0,0 +1,261 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { createHttpError } from './helpers.js';
+import { changeOrderStatus } from './orderStatus.js';
+import {
+  sendOrderShippedEmail,
+  sendOrderDeliveredEmail,
+  sendShipmentUpdateEmail
+} from './emailService.js';
+import { notifyCustomer } from './notifications.js';
+
+// Events a shipment goes through; the latest one is the shipment's status
+export const SHIPMENT_EVENT_TYPES = ['dispatched', 'in_transit', 'out_for_delivery', 'delivery_failed', 'delivered'];
+
+const DEFAULT_EVENT_DESCRIPTIONS = {
+  dispatched: 'Your order has been handed to the carrier',
+  in_transit: 'Your order is on its way',
+  out_for_delivery: 'Your order is out for delivery',
+  delivery_failed: 'Delivery was attempted but not completed',
+  delivered: 'Your order has been delivered'
+};
+
+const notifyShipmentEvent = (order, shipment, event) =>
+  notifyCustomer(order.user_id, (email, name) => {
+    if (event.event_type === 'dispatched') {
+      return sendOrderShippedEmail(order, shipment, email, name);
+    }
+    if (event.event_type === 'delivered') {
+      return sendOrderDeliveredEmail(order, shipment, email, name);
+    }
+    return sendShipmentUpdateEmail(order, shipment, event, email, name);
+  });
+
+const insertEvent = async (shipment, { eventType, description, location, occurredAt, createdBy }) => {
+  const { data: event, error } = await supabaseAdmin
+    .from('shipment_events')
+    .insert([{
+      shipment_id: shipment.id,
+      order_id: shipment.order_id,
+      event_type: eventType,
+      description: description || DEFAULT_EVENT_DESCRIPTIONS[eventType],
+      location: location || null,
+      occurred_at: occurredAt || new Date().toISOString(),
+      created_by: createdBy
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return event;
+};
+
+const getOrder = async (orderId) => {
+  const { data: order, error } = await supabaseAdmin
+    .from('orders')
+    .select('*')
+    .eq('id', orderId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!order) {
+    throw createHttpError('Order not found', 404);
+  }
+
+  return order;
+};
+
+export async function getShipment(shipmentId) {
+  const { data: shipment, error } = await supabaseAdmin
+    .from('shipments')
+    .select('*')
+    .eq('id', shipmentId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!shipment) {
+    throw createHttpError('Shipment not found', 404);
+  }
+
+  return shipment;
+}
+
+/**
+ * Dispatch (part of) an order. The first shipment moves the order from
+ * processing to shipped. Resolves to { shipment, event, order }
+ */
+export async function createShipment(orderId, details, { adminId }) {
+  const order = await getOrder(orderId);
+
+  if (!['processing', 'shipped'].includes(order.order_status)) {
+    throw createHttpError(`Cannot ship an order that is ${order.order_status}`, 409);
+  }
+
+  const dispatchedAt = details.dispatched_at || new Date().toISOString();
+
+  const { data: shipment, error } = await supabaseAdmin
+    .from('shipments')
+    .insert([{
+      order_id: order.id,
+      carrier: details.carrier,
+      tracking_number: details.tracking_number,
+      tracking_url: details.tracking_url || null,
+      dispatched_at: dispatchedAt,
+      estimated_delivery: details.estimated_delivery || null,
+      status: 'dispatched',
+      created_by: adminId
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  const event = await insertEvent(shipment, {
+    eventType: 'dispatched',
+    description: details.note,
+    occurredAt: dispatchedAt,
+    createdBy: adminId
+  });
+
+  let updatedOrder = order;
+  if (order.order_status === 'processing') {
+    updatedOrder = await changeOrderStatus(order, 'shipped', {
+      changedBy: adminId,
+      note: `Shipped with ${shipment.carrier} (${shipment.tracking_number})`
+    });
+  }
+
+  await notifyShipmentEvent(updatedOrder, shipment, event);
+
+  return { shipment, event, order: updatedOrder };
+}
+
+// Correct carrier, tracking or ETA details. No event or email is sent.
+export async function updateShipment(shipmentId, updates) {
+  await getShipment(shipmentId);
+
+  const { data: shipment, error } = await supabaseAdmin
+    .from('shipments')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', shipmentId)
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return shipment;
+}
+
+/**
+ * Record a tracking event and email the customer. A 'delivered' event stores
+ * the proof-of-delivery image, and once every shipment of the order is
+ * delivered the order moves to delivered. Resolves to { shipment, event, order }
+ */
+export async function addShipmentEvent(shipmentId, { eventType, description, location, occurredAt, proofOfDeliveryUrl }, { adminId }) {
+  const current = await getShipment(shipmentId);
+
+  if (current.status === 'delivered') {
+    throw createHttpError('Shipment has already been delivered', 409);
+  }
+
+  const event = await insertEvent(current, { eventType, description, location, occurredAt, createdBy: adminId });
+
+  const { data: shipment, error } = await supabaseAdmin
+    .from('shipments')
+    .update({
+      status: eventType,
+      ...(eventType === 'delivered' && {
+        delivered_at: event.occurred_at,
+        proof_of_delivery_url: proofOfDeliveryUrl || null
+      }),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', shipmentId)
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  let order = await getOrder(shipment.order_id);
+
+  if (eventType === 'delivered' && order.order_status === 'shipped') {
+    const { count, error: countError } = await supabaseAdmin
+      .from('shipments')
+      .select('id', { count: 'exact', head: true })
+      .eq('order_id', order.id)
+      .neq('status', 'delivered');
+
+    if (countError) {
+      throw countError;
+    }
+
+    if (!count) {
+      order = await changeOrderStatus(order, 'delivered', {
+        changedBy: adminId,
+        note: 'All shipments delivered'
+      });
+    }
+  }
+
+  await notifyShipmentEvent(order, shipment, event);
+
+  return { shipment, event, order };
+}
+
+/**
+ * Shipments of an order plus a customer-facing timeline that merges order
+ * status changes with shipment events, oldest first.
+ */
+export async function getTracking(orderId) {
+  const [{ data: shipments, error }, { data: events, error: eventsError }, { data: history, error: historyError }] = await Promise.all([
+    supabaseAdmin
+      .from('shipments')
+      .select('id, carrier, tracking_number, tracking_url, status, dispatched_at, estimated_delivery, delivered_at, proof_of_delivery_url')
+      .eq('order_id', orderId)
+      .order('dispatched_at', { ascending: true }),
+    supabaseAdmin
+      .from('shipment_events')
+      .select('shipment_id, event_type, description, location, occurred_at')
+      .eq('order_id', orderId),
+    supabaseAdmin
+      .from('order_status_history')
+      .select('to_status, created_at')
+      .eq('order_id', orderId)
+  ]);
+
+  if (error || eventsError || historyError) {
+    throw error || eventsError || historyError;
+  }
+
+  const timeline = [
+    ...(history || []).map(entry => ({
+      type: 'order_status',
+      status: entry.to_status,
+      occurred_at: entry.created_at
+    })),
+    ...(events || []).map(event => ({
+      type: 'shipment',
+      shipment_id: event.shipment_id,
+      status: event.event_type,
+      description: event.description,
+      location: event.location,
+      occurred_at: event.occurred_at
+    }))
+  ].sort((a, b) => new Date(a.occurred_at) - new Date(b.occurred_at));
+
+  return { shipments: shipments || [], timeline };
+}
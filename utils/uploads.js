@@ -0,0 +1,53 @@
+import multer from 'multer';
+import cloudinary from '../config/cloudinary.js';
+
+// Images are kept in memory and sent straight to Cloudinary
+export const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: function (req, file, cb) {
+    // Accept images only
+    if (!file.originalname.match(/\.(jpg|jpeg|png|gif|webp)$/i)) {
+      return cb(new Error('Only image files are allowed!'), false);
+    }
+    cb(null, true);
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
+
+// Upload an image received by multer. Resolves to its Cloudinary URL
+export async function uploadImage(file, folder) {
+  // Convert buffer to base64
+  const b64 = Buffer.from(file.buffer).toString('base64');
+  const dataURI = `data:${file.mimetype};base64,${b64}`;
+
+  const uploadResponse = await cloudinary.uploader.upload(dataURI, {
+    folder: `health-excellence/${folder}`,
+    resource_type: 'image',
+    transformation: [
+      { width: 800, height: 800, crop: 'limit' },
+      { quality: 'auto' }
+    ]
+  });
+
+  return uploadResponse.secure_url;
+}
+
+// Turn multer and file filter errors into 400 responses
+export function handleUploadError(error, req, res, next) {
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({ error: 'File too large' });
+    }
+    if (error.code === 'LIMIT_UNEXPECTED_FILE' || error.code === 'LIMIT_FILE_COUNT') {
+      return res.status(400).json({ error: 'Too many files or unexpected field' });
+    }
+  }
+
+  if (error?.message === 'Only image files are allowed!') {
+    return res.status(400).json({ error: error.message });
+  }
+
+  next(error);
+}
@@ -0,0 +1,121 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { handlePaymentEvent } from './paymentEvents.js';
+import { createHttpError } from './helpers.js';
+
+// Paystack does not send a top-level event id, so an event is identified by
+// its type plus the transaction (or refund) id, falling back to the reference.
+export function getWebhookEventKey(provider, event) {
+  const data = event.data || {};
+  return `${provider}:${event.event}:${data.id ?? data.reference}`;
+}
+
+// Store an incoming event in the ledger. Resolves to { event, duplicate }
+export async function recordWebhookEvent(provider, event) {
+  const eventKey = getWebhookEventKey(provider, event);
+
+  const { data: inserted, error } = await supabaseAdmin
+    .from('webhook_events')
+    .insert([{
+      provider,
+      event_key: eventKey,
+      event_type: event.event,
+      reference: event.data?.reference || event.data?.transaction_reference || null,
+      payload: event,
+      status: 'received'
+    }])
+    .select()
+    .single();
+
+  if (!error) {
+    return { event: inserted, duplicate: false };
+  }
+
+  if (error.code !== '23505') {
+    throw error;
+  }
+
+  const { data: existing, error: fetchError } = await supabaseAdmin
+    .from('webhook_events')
+    .select('*')
+    .eq('event_key', eventKey)
+    .single();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  return { event: existing, duplicate: true };
+}
+
+// Run a handler against a ledger row. Unless forced (admin replay), only rows
+// that have not been processed yet are claimed, so each delivery is handled once.
+export async function runWebhookEvent(ledgerEvent, handler, { force = false } = {}) {
+  let claim = supabaseAdmin
+    .from('webhook_events')
+    .update({
+      status: 'processing',
+      attempts: (ledgerEvent.attempts || 0) + 1,
+      last_error: null
+    })
+    .eq('id', ledgerEvent.id);
+
+  if (!force) {
+    claim = claim.in('status', ['received', 'failed']);
+  }
+
+  const { data: claimed, error: claimError } = await claim.select().maybeSingle();
+
+  if (claimError) {
+    throw claimError;
+  }
+
+  if (!claimed) {
+    return { skipped: true, status: ledgerEvent.status };
+  }
+
+  try {
+    const result = await handler(claimed.payload);
+
+    await supabaseAdmin
+      .from('webhook_events')
+      .update({
+        status: 'processed',
+        result: result || null,
+        processed_at: new Date().toISOString()
+      })
+      .eq('id', claimed.id);
+
+    return { skipped: false, status: 'processed', result };
+  } catch (error) {
+    await supabaseAdmin
+      .from('webhook_events')
+      .update({
+        status: 'failed',
+        last_error: error.message
+      })
+      .eq('id', claimed.id);
+
+    throw error;
+  }
+}
+
+// Verify, record and process a raw webhook delivery from a payment provider
+export async function processProviderWebhook(provider, rawBody, headers) {
+  if (!provider.verifyWebhookSignature(rawBody, headers)) {
+    throw createHttpError('Invalid signature', 401);
+  }
+
+  const event = provider.parseWebhookEvent(rawBody);
+  console.log(`📋 ${provider.name} event type:`, event.event);
+
+  // Record the event first so retried deliveries are only processed once
+  const { event: ledgerEvent } = await recordWebhookEvent(provider.name, event);
+  const outcome = await runWebhookEvent(ledgerEvent, handlePaymentEvent);
+
+  if (outcome.skipped) {
+    console.log(`🔁 Duplicate webhook ignored (${ledgerEvent.event_key}, status: ${outcome.status})`);
+    return { duplicate: true };
+  }
+
+  return outcome.result;
+}